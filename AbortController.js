@@ -2,7 +2,7 @@
 
 /**
  * @file AbortController.js
- * @description A Basic Implementation of AbortController, compatible with fetch.js or any other spec that supports Abortcontrollers
+ * @description An Implementation of AbortController and AbortSignal, compatible with fetch.js or any other spec that supports Abortcontrollers
  * @module AbortController
  * @example
  * const fetch = require('fetch.js');
@@ -10,16 +10,102 @@
  * const abortController = new AbortController();
  * setTimeout(abortController.abort,200); //timeout until request aborts, in ms
  * fetch('https://google.com',{signal:abortController.signal}).then(r=>r.text()).then(console.log).catch(e=>console.log('Error:',e));
+ *
+ * //or, without a controller:
+ * const AbortSignal = AbortController.AbortSignal;
+ * fetch('https://google.com',{signal:AbortSignal.any([AbortSignal.timeout(5000), abortController.signal])});
 */
+/*
+ * AbortSignal implements .aborted, .reason, .onabort, .throwIfAborted(), .addEventListener('abort', listener) and .removeEventListener('abort', listener),
+ * as well as AbortSignal.abort(reason), AbortSignal.timeout(ms) and AbortSignal.any(signals).
+ * Listeners are called with an event: {type: 'abort', target: signal}. signal.on('abort', listener) works too.
+ *
+ * abortController.abort(reason) only aborts the signal once. It is bound to the controller, so it can be passed to setTimeout() as it is.
+ * Without a reason, the reason is an Error named 'AbortError' ('TimeoutError' for AbortSignal.timeout()).
+ */
 
-function AbortSignal(){}
+function abortError(name, message) {
+    const e = new Error(message);
+    e.name = name;
+    return e;
+}
 
-function AbortController() {
+function AbortSignal() {
+    this.aborted = false;
+    this.reason = undefined;
+    this.onabort = null;
+}
+
+AbortSignal.prototype.throwIfAborted = function () {
+    if (this.aborted) throw this.reason;
+};
+
+AbortSignal.prototype.addEventListener = function (type, listener) {
+    //like the spec, listeners added after the signal was aborted are never called
+    if (type === 'abort' && !this.aborted) this.on('abort', listener);
+};
+
+AbortSignal.prototype.removeEventListener = function (type, listener) {
+    this.removeListener(type, listener);
+};
+
+//Aborts the signal, unless it already was
+AbortSignal.prototype.__abort = function (reason) {
+    if (this.aborted) return;
+    this.aborted = true;
+    this.reason = reason === undefined ? abortError('AbortError', 'This operation was aborted') : reason;
+
+    const event = { type: 'abort', target: this };
+    if (typeof this.onabort === 'function') this.onabort(event);
+    this.emit('abort', event);
+    this.removeAllListeners('abort');
+};
+
+//Returns a signal that is already aborted
+AbortSignal.abort = function (reason) {
     const signal = new AbortSignal();
-    this.abort = function () {
-        signal.emit('abort')
+    signal.__abort(reason);
+    return signal;
+};
+
+//Returns a signal that aborts after ms
+AbortSignal.timeout = function (ms) {
+    const signal = new AbortSignal();
+    setTimeout(function () {
+        signal.__abort(abortError('TimeoutError', 'The operation timed out'));
+    }, ms);
+    return signal;
+};
+
+//Returns a signal that aborts (with the same reason) as soon as any of the signals does
+AbortSignal.any = function (signals) {
+    const signal = new AbortSignal();
+    const aborted = signals.find(s => s.aborted);
+    if (aborted) {
+        signal.__abort(aborted.reason);
+        return signal;
     }
+
+    const listeners = signals.map(function (s) {
+        const listener = function () {
+            //stop listening to the others
+            signals.forEach((other, i) => other.removeListener('abort', listeners[i]));
+            signal.__abort(s.reason);
+        };
+        s.on('abort', listener);
+        return listener;
+    });
+    return signal;
+};
+
+function AbortController() {
+    const signal = new AbortSignal();
+    this.abort = function (reason) {
+        signal.__abort(reason);
+    };
     this.signal = signal;
 }
 
+AbortController.AbortSignal = AbortSignal;
+
 exports = AbortController;
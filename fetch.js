@@ -17,9 +17,64 @@
  *
  * For information about using the fetch spec, see: https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API/Using_Fetch
  *
- * Currently, FetchResponse only implements .text() and .json() (not .arrayBuffer()/.blob()/.formData());
+ * FetchResponse implements .ok, .status, .statusText, .headers, .url, .bodyUsed, .text(), .json(), .arrayBuffer() and .body.getReader() (not .blob()/.formData()).
+ * The reader from .body.getReader() resolves each chunk as the string that Espruino's 'http' module received (not a Uint8Array),
+ * so that downloads bigger than RAM can be written to Storage chunk-by-chunk.
  *
- * Fetch params accepts 'signal' field for use with AbortController.js
+ * fetch(input, params?) accepts a URL string or a fetch.Request as input. The caller's params are never modified.
+ * Fetch params accepts 'headers' field: an object, an array of [name, value] pairs, or a fetch.Headers (with case-insensitive names).
+ * Fetch params accepts 'body' (or 'data') field: a string (sent as UTF-8), a fetch.URLSearchParams, a fetch.FormData, a Uint8Array or an ArrayBuffer.
+ *   Content-Length is set to the length in bytes, and Content-Type defaults to match the body (strings are sent as application/json if they parse as JSON, otherwise text/plain).
+ *   Any other params (e.g. TLS options) are passed on to http.request().
+ * Fetch params accepts 'signal' field for use with AbortController.js. Aborting stops the request, or the reading of its body (from .text(), .json(), etc).
+ *   fetch() rejects straight away if the signal was already aborted. The FetchError (type: 'aborted') has the signal's .reason.
+ * Fetch params accepts 'bodyTimeout' field: the time in ms to wait for the next chunk of the response body (default: 5000, 0 to wait forever)
+ * Fetch params accepts 'timeout' field: the time in ms to wait for the response headers, for each attempt. Works alongside 'signal'.
+ * Fetch params accepts 'redirect' field: 'follow' (default), 'manual' (resolve to the 3xx response) or 'error' (reject), and 'maxRedirects' field (default: 5).
+ *   303s (and 301/302s after a POST) are followed with a GET without the body. The Authorization, Proxy-Authorization and Cookie headers are not sent to other hosts.
+ * Fetch params accepts 'retry' field: the number of retries, or {count, backoff, retryOn, methods}. Network errors, timeouts and 'retryOn' status codes
+ *   (default: [408, 429, 500, 502, 503, 504]) are retried after 'backoff' ms (default: 1000), doubling each time. Only 'methods' are retried
+ *   (default: the idempotent methods GET, HEAD, OPTIONS, PUT and DELETE).
+ * Fetch params accepts 'agent' field: a fetch.Agent({keepAlive, maxSockets, keepAliveTimeout}), which keeps connections open between requests to the same host
+ *   (HTTP/1.1 keep-alive) over the 'net'/'tls' modules, instead of opening a new one with the 'http' module for every request. This saves time and RAM
+ *   when sending requests every few seconds. At most 'maxSockets' (default: 2) are opened to each host, and further requests wait in a queue.
+ *   Idle connections are closed after 'keepAliveTimeout' ms (default: 5000), or with agent.destroy(). A request that times out (or is aborted)
+ *   while it waits in the queue is never sent.
+ * Response bodies sent with Transfer-Encoding: chunked are decoded. Bodies with a Content-Encoding in fetch.decoders are decompressed (as a whole, once the body has arrived).
+ *   gzip and deflate are NOT supported out of the box. A decoder for them (e.g. an inflater) can be added, and is then sent in the Accept-Encoding header:
+ *   fetch.decoders.gzip = function (bytes) { return inflatedBytes; };
+ *   'heatshrink' bodies are decoded where the heatshrink module is, but as it isn't a registered content-coding it is only asked for if
+ *   the Accept-Encoding header is set explicitly (e.g. headers: {'Accept-Encoding': 'heatshrink'}, for a server of your own).
+ * Fetch params accepts 'queue' field: true to put the request in fetch.queue if it fails with a network error (or timeout), an OfflineQueue to put it in that one instead,
+ *   or false to never queue it. The error that fetch() rejects with then has .queued = true and .queueId.
+ *
+ * fetch() rejects with a fetch.FetchError, with .type ('aborted', 'timeout', 'network', 'redirect' or 'http'), .url, and .status and .body where there was a response.
+ *
+ * fetch.create({baseURL, headers, throwHttpErrors, interceptors, ...params}) creates a client: a fetch() with defaults and interceptors. URLs are joined to baseURL
+ *   (unless absolute), headers are merged, and plain object/array bodies are sent as JSON. This goes for fetch.Request inputs too, but their own method, redirect
+ *   and any other fields they set win over the client's defaults. Responses that aren't ok are rejected with a FetchError (type: 'http')
+ *   unless throwHttpErrors is false. client.get/head/delete(url, params?) and client.post/put/patch(url, body, params?) set the method.
+ *   The interceptors run in order, and can be given to fetch.create() or pushed to client.interceptors later:
+ *   - request: (request: fetch.Request) => fetch.Request | undefined (to keep it as it is), or a Promise of one
+ *   - response: (result, request) => the result for the next interceptor. The first gets the FetchResponse. e.g. r => r.json()
+ *   - error: (error, request) => a result to resolve to instead, or undefined to pass the error on
+ *
+ * const api = fetch.create({baseURL: 'https://example.com/api', headers: {Authorization: 'Bearer ' + token}, timeout: 5000, interceptors: {response: [r => r.json()]}});
+ * api.post('/telemetry', {temp: E.getTemperature()}).then(console.log).catch(e => console.log(e.status, e.body));
+ *
+ * fetch.queue is an OfflineQueue({file, maxSize, backoff, maxBackoff, taskManager, enabled}): requests in it are persisted to Storage ('fetchq.json' by default), and replayed
+ *   in order once the network is back, retrying after 'backoff' ms (default: 5000), doubling up to 'maxBackoff' (default: 300000). A request that gets a response
+ *   (whatever its status) is done. A successful request that could have been queued also starts a replay. Requests may be sent more than once (e.g. if they timed out
+ *   after reaching the server). At most 'maxSize' (default: 50) requests are kept, dropping the oldest.
+ *   - queue.enabled = true queues every request that fails with a network error, unless it has {queue: false}
+ *   - queue.add(url, params?) queues a request without trying it first. queue.replay() sends the queued requests now. queue.clear() removes them. queue.length
+ *   - with a 'taskManager' (TaskManager.js), replays are run as 'FetchQueueReplay' tasks
+ *   - events: 'queued' (entry), 'sent' (entry, response), 'failed' (entry, error), 'dropped' (entry) and 'drained'. Entries are {id, method, url, headers, body, timeout, time, attempts}
+ *
+ * fetch.queue.enabled = true;
+ * fetch.queue.on('sent', (entry, response) => console.log('Delivered', entry.url, response.status));
+ * require('Wifi').on('connected', () => fetch.queue.replay());
+ * fetch.queue.replay(); //send anything left over from before a restart
 
 Usage:
 
@@ -32,7 +87,7 @@ fetch('https://google.com').then(function (fetchResponse){
  */
 
 //fetch(...) resolves to FetchResponse, so we can do fetch(...).then(function(fetchResponse){/* do stuff with fetchResponse */})
-//deps: 'http'
+//deps: 'http', 'promise-reduce.js' ('net'/'tls' for fetch.Agent, 'Storage' for fetch.queue, 'heatshrink' if available)
 
 /**
  * Change Log (MM/DD/YYYY):
@@ -41,38 +96,414 @@ fetch('https://google.com').then(function (fetchResponse){
  * - Added automatic Content-Type header for text/plain and application/json (depending on if the body exists and can be parsed as JSON). This is an occasionally hidden requirement for some server implementations to detect the body of a POST request.
  * - Explicitly coerces body to a string by calling .toString() on body explicitly (if body exists).
  * 
+ * 10/18/2026
+ * - FetchResponse now has .ok, .status, .statusText, .headers (with case-insensitive .get()), .url and .bodyUsed, so a 500 can be told apart from a 200.
+ * - Added .arrayBuffer(), and .body.getReader() for reading the response body chunk-by-chunk.
+ * - The fixed 5s timeout for reading the response body is now the 'bodyTimeout' param. It restarts whenever a chunk arrives, so slow downloads don't time out while data is still coming in.
+ * - Added the 'redirect' and 'maxRedirects' params. Redirects are followed by default, and FetchResponse.redirected tells if one was.
+ * - Added the 'timeout' param, for requests that never get a response.
+ * - Added the 'retry' param, for retrying idempotent requests with exponential backoff on flaky connections.
+ * - Aborting no longer removes other 'abort' listeners from the signal.
+ * - Added fetch.Headers, fetch.Request, fetch.URLSearchParams and fetch.FormData. Binary (Uint8Array/ArrayBuffer) bodies are sent as they are, instead of with .toString().
+ * - Content-Length is now the body's length in bytes, so multi-byte UTF-8 bodies are no longer cut short.
+ * - fetch() no longer modifies (or deletes fields from) the params object it is given.
+ * - Added fetch.Agent, for reusing connections (keep-alive) and limiting the connections open to each host.
+ * - Response bodies sent with Transfer-Encoding: chunked are now decoded, and those with a Content-Encoding in fetch.decoders are decompressed.
+ *   Accept-Encoding is only sent for decoders that were added to fetch.decoders (gzip isn't supported out of the box).
+ * - Added fetch.create(), for clients with a baseURL, default params and request/response/error interceptors.
+ * - fetch() now rejects with a fetch.FetchError (with .type, .url, .status and .body), instead of strings such as 'HTTP Error: ' + e.
+ * - Added fetch.queue and fetch.OfflineQueue, for keeping requests that fail while the network is down in Storage, and replaying them once it is back.
+ * - Aborting the signal now also stops FetchResponse from reading the body, and already aborted signals are rejected without sending the request.
+ * 
  */
 
 const http = require('http');
+const promiseReduce = require('promise-reduce.js');
+
+/*
+ * The error that fetch() rejects with. props are:
+ * type: 'aborted', 'timeout', 'network', 'redirect' or 'http' (from fetch.create() clients, for responses that aren't ok)
+ * url, and for responses: status and body (the response text)
+ */
+function FetchError(message, props) {
+    this.name = 'FetchError';
+    this.message = message;
+    Object.assign(this, props);
+}
+FetchError.prototype = Object.create(Error.prototype);
+FetchError.prototype.constructor = FetchError;
+
+//Request and response headers, with case-insensitive lookup. The name's case is kept as it was first given, for sending
+class Headers {
+    constructor(init) {
+        this.__map = {}; //lowercase name -> [name, value]
+        const _this = this;
+        if (init instanceof Headers) for (const key in init.__map) this.__map[key] = init.__map[key].slice();
+        else if (Array.isArray(init)) init.forEach(pair => _this.append(pair[0], pair[1]));
+        else for (const name in init) this.append(name, init[name]);
+    }
+    get(name) {
+        const header = this.__map[name.toLowerCase()];
+        return header ? header[1] : null;
+    }
+    has(name) {
+        return this.__map[name.toLowerCase()] !== undefined;
+    }
+    set(name, value) {
+        const header = this.__map[name.toLowerCase()];
+        this.__map[name.toLowerCase()] = [header ? header[0] : name, String(value)];
+    }
+    append(name, value) {
+        const header = this.__map[name.toLowerCase()];
+        if (header) header[1] += ', ' + value;
+        else this.__map[name.toLowerCase()] = [name, String(value)];
+    }
+    delete(name) {
+        delete this.__map[name.toLowerCase()];
+    }
+    forEach(callback, thisArg) {
+        for (const key in this.__map) callback.call(thisArg, this.__map[key][1], key, this);
+    }
+    entries() {
+        const entries = [];
+        this.forEach((value, name) => entries.push([name, value]));
+        return entries;
+    }
+    keys() {
+        return Object.keys(this.__map);
+    }
+    values() {
+        return this.entries().map(entry => entry[1]);
+    }
+
+    //The headers as an object, for the 'http' module
+    __toObject() {
+        const obj = {};
+        for (const key in this.__map) obj[this.__map[key][0]] = this.__map[key][1];
+        return obj;
+    }
+}
+
+//application/x-www-form-urlencoded params, for request bodies (and building query strings)
+class URLSearchParams {
+    constructor(init) {
+        this.__list = [];
+        const _this = this;
+        if (typeof init === 'string') {
+            init.replace(/^\?/, '').split('&').forEach(function (pair) {
+                if (!pair) return;
+                const i = pair.indexOf('=');
+                const decode = str => decodeURIComponent(str.replace(/\+/g, ' '));
+                _this.append(decode(i < 0 ? pair : pair.slice(0, i)), i < 0 ? '' : decode(pair.slice(i + 1)));
+            });
+        } else if (init instanceof URLSearchParams) {
+            init.forEach((value, name) => _this.append(name, value));
+        } else if (Array.isArray(init)) {
+            init.forEach(pair => _this.append(pair[0], pair[1]));
+        } else {
+            for (const name in init) this.append(name, init[name]);
+        }
+    }
+    append(name, value) {
+        this.__list.push([String(name), String(value)]);
+    }
+    set(name, value) {
+        this.delete(name);
+        this.append(name, value);
+    }
+    get(name) {
+        const pair = this.__list.find(pair => pair[0] === name);
+        return pair ? pair[1] : null;
+    }
+    getAll(name) {
+        return this.__list.filter(pair => pair[0] === name).map(pair => pair[1]);
+    }
+    has(name) {
+        return this.__list.some(pair => pair[0] === name);
+    }
+    delete(name) {
+        this.__list = this.__list.filter(pair => pair[0] !== name);
+    }
+    forEach(callback, thisArg) {
+        this.__list.forEach(pair => callback.call(thisArg, pair[1], pair[0], this));
+    }
+    toString() {
+        const encode = str => encodeURIComponent(str).replace(/%20/g, '+');
+        return this.__list.map(pair => encode(pair[0]) + '=' + encode(pair[1])).join('&');
+    }
+}
+
+//multipart/form-data fields, for request bodies. Files are appended with a filename: formData.append('log', data, 'log.txt')
+class FormData {
+    constructor() {
+        this.__list = [];
+    }
+    append(name, value, filename) {
+        this.__list.push({ name: String(name), value: value, filename: filename });
+    }
+    set(name, value, filename) {
+        this.delete(name);
+        this.append(name, value, filename);
+    }
+    get(name) {
+        const field = this.__list.find(field => field.name === name);
+        return field ? field.value : null;
+    }
+    getAll(name) {
+        return this.__list.filter(field => field.name === name).map(field => field.value);
+    }
+    has(name) {
+        return this.__list.some(field => field.name === name);
+    }
+    delete(name) {
+        this.__list = this.__list.filter(field => field.name !== name);
+    }
+    forEach(callback, thisArg) {
+        this.__list.forEach(field => callback.call(thisArg, field.value, field.name, this));
+    }
+}
+
+//The fetch params that aren't passed on to http.request()
+const FETCH_PARAMS = ['method', 'headers', 'body', 'data', 'signal', 'bodyTimeout', 'timeout', 'redirect', 'maxRedirects', 'retry', 'agent', 'queue'];
+
+//A request that can be passed to fetch(), instead of (url, params)
+class Request {
+    constructor(input, init) {
+        init = init || {};
+        const base = input instanceof Request ? input : { url: String(input), __options: {} };
+        this.url = base.url;
+        this.method = (init.method || base.method || 'GET').toUpperCase();
+        this.headers = new Headers(init.headers || base.headers);
+        this.body = init.body !== undefined ? init.body : init.data !== undefined ? init.data : base.body;
+        this.signal = init.signal || base.signal;
+        this.bodyTimeout = init.bodyTimeout !== undefined ? init.bodyTimeout : base.bodyTimeout;
+        this.timeout = init.timeout !== undefined ? init.timeout : base.timeout;
+        this.redirect = init.redirect || base.redirect || 'follow';
+        this.maxRedirects = init.maxRedirects !== undefined ? init.maxRedirects : base.maxRedirects;
+        this.retry = init.retry !== undefined ? init.retry : base.retry;
+        this.agent = init.agent || base.agent;
+        this.queue = init.queue !== undefined ? init.queue : base.queue;
+
+        //any other params (e.g. TLS options) are passed on to http.request()
+        this.__options = Object.assign({}, base.__options);
+        for (const key in init) {
+            if (FETCH_PARAMS.indexOf(key) < 0) this.__options[key] = init[key];
+        }
+    }
+    clone() {
+        return new Request(this);
+    }
+}
+
+//Decodes a Transfer-Encoding: chunked body as it arrives
+class ChunkedDecoder {
+    constructor() {
+        this.buffer = "";
+        this.remaining = 0; //bytes left in the current chunk
+        this.crlf = false; //whether the CRLF after a chunk is still to come
+        this.last = false; //whether the last (empty) chunk has arrived
+        this.finished = false; //whether the trailers after the last chunk have arrived too
+    }
+    //Returns the data from any whole or partial chunks received so far
+    push(data) {
+        let out = "";
+        this.buffer += data;
+        while (!this.finished) {
+            if (this.last) {
+                //skip any trailers, up to the empty line
+                const end = this.buffer.indexOf('\r\n') === 0 ? 0 : this.buffer.indexOf('\r\n\r\n');
+                if (end < 0) break;
+                this.buffer = this.buffer.slice(end ? end + 4 : 2);
+                this.finished = true;
+                break;
+            }
+            if (this.remaining) {
+                const part = this.buffer.slice(0, this.remaining);
+                out += part;
+                this.remaining -= part.length;
+                this.buffer = this.buffer.slice(part.length);
+                if (this.remaining) break;
+                this.crlf = true;
+            }
+            if (this.crlf) {
+                if (this.buffer.length < 2) break;
+                this.buffer = this.buffer.slice(2);
+                this.crlf = false;
+            }
+            const eol = this.buffer.indexOf('\r\n');
+            if (eol < 0) break;
+            //parseInt() ignores any chunk extensions after the size
+            this.remaining = parseInt(this.buffer.slice(0, eol), 16) || 0;
+            this.buffer = this.buffer.slice(eol + 2);
+            if (!this.remaining) this.last = true;
+        }
+        return out;
+    }
+}
+
+//Content-Encoding decoders, each taking and returning a string of bytes. Add to fetch.decoders to support other encodings (e.g. a gzip inflater)
+const DECODERS = {};
+try {
+    const heatshrink = require('heatshrink');
+    DECODERS.heatshrink = data => E.toString(heatshrink.decompress(data));
+} catch (e) {
+    //not available on this build
+}
 
 class FetchResponse {
-    constructor(res) {
+    constructor(res, options) {
+        options = options || {};
         this.res = res;
+        this.status = parseInt(res.statusCode) || 0;
+        this.statusText = res.statusMessage || "";
+        this.ok = this.status >= 200 && this.status < 300;
+        this.headers = new Headers(res.headers);
+        this.url = options.url || "";
+        this.redirected = !!options.redirected;
+        this.bodyUsed = false;
+        this.bodyTimeout = options.bodyTimeout === undefined ? 5e3 : options.bodyTimeout;
+        this.signal = options.signal; //aborting it stops reading the body
+
+        const _this = this;
+        this.body = {
+            getReader: function () {
+                return _this.__reader();
+            }
+        };
     }
-    text() {
+
+    //Passes each chunk of the body to onChunk, and resolves once the connection closes
+    __read(onChunk) {
+        if (this.bodyUsed) return Promise.reject(new TypeError('Body has already been consumed.'));
+        this.bodyUsed = true;
+
         const _this = this;
+        const res = this.res;
+        const ms = this.bodyTimeout;
+        const signal = this.signal;
+        //the body is decoded from chunks unless the transport (e.g. an Agent) already did, and then decompressed as a whole
+        const chunked = !res.__decoded && /chunked/i.test(this.headers.get('Transfer-Encoding')) ? new ChunkedDecoder() : undefined;
+        const decode = DECODERS[(this.headers.get('Content-Encoding') || '').toLowerCase()];
+        let encoded = "";
         return new Promise(function (r, j) {
             let timeout;
-            let data = "";
+            function stopTimer() {
+                //clearTimeout() with no id would clear every timer
+                if (timeout) clearTimeout(timeout);
+                timeout = undefined;
+            }
+            function startTimer() {
+                stopTimer();
+                if (ms) timeout = setTimeout(function () {
+                    cleanUp();
+                    j(new FetchError('Response body timed out', { type: 'timeout', url: _this.url, status: _this.status }));
+                }, ms);
+            }
+            function cleanUp() {
+                stopTimer();
+                res.removeListener('data', handleData);
+                res.removeListener('close', handleClose);
+                res.removeListener('error', handleError);
+                if (signal) signal.removeListener('abort', handleAbort);
+            }
+            function handleAbort() {
+                cleanUp();
+                res.on('data', function () { }); //discard the rest of the body
+                j(new FetchError('Request aborted', { type: 'aborted', url: _this.url, status: _this.status, reason: signal.reason }));
+            }
+            function handleData(chunk) {
+                startTimer();
+                try {
+                    if (chunked) chunk = chunked.push(chunk);
+                    if (decode) encoded += chunk;
+                    else if (chunk) onChunk(chunk);
+                } catch (e) {
+                    cleanUp();
+                    j(e);
+                }
+            }
             function handleClose() {
-                clearTimeout(timeout);
-                r(data);
-            };
-            _this.res.on('data', function (chunk) {
-                data += chunk;
-            });
+                cleanUp();
+                try {
+                    if (decode && encoded) onChunk(decode(encoded));
+                } catch (e) {
+                    return j(e);
+                }
+                r();
+            }
+            function handleError(e) {
+                cleanUp();
+                j(new FetchError('Network error: ' + e, { type: 'network', url: _this.url, status: _this.status }));
+            }
+            if (signal && signal.aborted) return handleAbort();
+            res.on('data', handleData);
+            res.on('close', handleClose);
+            res.on('error', handleError);
+            if (signal) signal.on('abort', handleAbort);
+            startTimer();
+        });
+    }
 
-            _this.res.on('close', handleClose);
+    //A minimal ReadableStreamDefaultReader: read() resolves to {done, value} for each chunk of the body
+    __reader() {
+        const queue = [];
+        let waiting, done = false, failure, cancelled = false;
 
-            timeout = setTimeout(function () {
-                _this.res.removeListener('close', handleClose);
-                j('FetchRequest Timed-Out!');
-            }, 5e3);
+        this.__read(function (chunk) {
+            if (cancelled) return;
+            if (waiting) {
+                const w = waiting;
+                waiting = undefined;
+                w.r({ done: false, value: chunk });
+            } else {
+                queue.push(chunk);
+            }
+        }).then(function () {
+            done = true;
+            if (waiting) waiting.r({ done: true, value: undefined });
+        }, function (e) {
+            failure = e;
+            if (waiting) waiting.j(e);
         });
+
+        return {
+            read: function () {
+                return new Promise(function (r, j) {
+                    if (queue.length) return r({ done: false, value: queue.shift() });
+                    if (failure !== undefined) return j(failure);
+                    if (done || cancelled) return r({ done: true, value: undefined });
+                    waiting = { r: r, j: j };
+                });
+            },
+            //the rest of the body is discarded as it arrives
+            cancel: function () {
+                cancelled = true;
+                queue.length = 0;
+                if (waiting) waiting.r({ done: true, value: undefined });
+                waiting = undefined;
+                return Promise.resolve();
+            },
+            releaseLock: function () { }
+        };
+    }
+
+    //Reads the rest of the body without keeping it, e.g. for redirects, so that the connection can close
+    __discard() {
+        if (!this.bodyUsed) this.__read(function () { }).catch(function () { });
+    }
+
+    text() {
+        let data = "";
+        return this.__read(function (chunk) {
+            data += chunk;
+        }).then(() => data);
     }
     json() {
         return this.text().then(JSON.parse);
     }
+    arrayBuffer() {
+        return this.text().then(data => E.toArrayBuffer(data));
+    }
 }
 
 function isJSON(str) {
@@ -83,58 +514,747 @@ function isJSON(str) {
     }
 }
 
-function fetch(address, params) {
-    const _params = params || {};
+//Returns the string as UTF-8 bytes (one char per byte), so that its length is its length in bytes
+function toBytes(str) {
+    //on Espruino builds with unicode support, only strings flagged as UTF-8 need encoding. Otherwise, strings are already bytes unless they can't be
+    const isUTF8 = typeof E !== 'undefined' && E.isUTF8 ? E.isUTF8(str) : /[^\x00-\xff]/.test(str);
+    if (!isUTF8) return str;
 
-    if (!_params.headers) _params.headers = {};
+    let bytes = "";
+    for (let i = 0; i < str.length; i++) {
+        let c = str.charCodeAt(i);
+        if (c >= 0xD800 && c < 0xDC00 && i + 1 < str.length) {
+            //surrogate pair
+            c = 0x10000 + ((c - 0xD800) << 10) + (str.charCodeAt(++i) - 0xDC00);
+        }
+        if (c < 0x80) bytes += String.fromCharCode(c);
+        else if (c < 0x800) bytes += String.fromCharCode(0xC0 | c >> 6, 0x80 | c & 63);
+        else if (c < 0x10000) bytes += String.fromCharCode(0xE0 | c >> 12, 0x80 | c >> 6 & 63, 0x80 | c & 63);
+        else bytes += String.fromCharCode(0xF0 | c >> 18, 0x80 | c >> 12 & 63, 0x80 | c >> 6 & 63, 0x80 | c & 63);
+    }
+    return bytes;
+}
+
+//Returns binary data (Uint8Array, ArrayBuffer, or other typed arrays) as a string of bytes
+function binaryToBytes(data) {
+    if (data instanceof ArrayBuffer) return E.toString(new Uint8Array(data));
+    return E.toString(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+}
 
-    const content = (_params.body || _params.data) && (_params.body || _params.data).toString();
+//Encodes a FormData body as multipart/form-data
+function encodeFormData(formData, boundary) {
+    const quote = str => toBytes(str).replace(/"/g, '%22').replace(/\r?\n/g, ' ');
+    let body = "";
+    formData.__list.forEach(function (field) {
+        const value = field.value;
+        body += '--' + boundary + '\r\nContent-Disposition: form-data; name="' + quote(field.name) + '"';
+        if (field.filename !== undefined) body += '; filename="' + quote(field.filename) + '"\r\nContent-Type: application/octet-stream';
+        body += '\r\n\r\n' + (value instanceof ArrayBuffer || ArrayBuffer.isView(value) ? binaryToBytes(value) : toBytes(String(value))) + '\r\n';
+    });
+    return body + '--' + boundary + '--\r\n';
+}
 
-    if (content) {
-        _params.headers["Content-Length"] = content.length;
-        if (!_params.headers["Content-Type"]) _params.headers["Content-Type"] = isJSON(content) ? "application/json" : "text/plain";
+//Encodes a request body as a string of bytes, and returns it with its default Content-Type
+function encodeBody(body) {
+    switch (true) {
+        case body === undefined || body === null || body === "":
+            return {};
+        case body instanceof URLSearchParams:
+            return { content: toBytes(body.toString()), type: 'application/x-www-form-urlencoded;charset=UTF-8' };
+        case body instanceof FormData: {
+            const boundary = '----EspruinoFormBoundary' + Math.random().toString(36).slice(2);
+            return { content: encodeFormData(body, boundary), type: 'multipart/form-data; boundary=' + boundary };
+        }
+        case body instanceof ArrayBuffer || ArrayBuffer.isView(body):
+            return { content: binaryToBytes(body), type: 'application/octet-stream' };
+        default: {
+            const content = toBytes(body.toString());
+            return { content: content, type: isJSON(content) ? "application/json" : "text/plain" };
+        }
     }
+}
 
-    delete _params.body;
-    delete _params.data;
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
 
-    const signal = _params.signal; //if using an AbortController
-    if (signal) delete _params.signal;
+//Resolves a (possibly relative) Location header against the URL that was requested
+function resolveURL(base, location) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(location)) return location;
+    const u = url.parse(base);
+    const protocol = u.protocol || 'http:';
+    if (location.indexOf('//') === 0) return protocol + location;
+    const host = (u.hostname || u.host.split(':')[0]) + (u.port ? ':' + u.port : '');
+    if (location[0] === '/') return protocol + '//' + host + location;
+    const path = u.pathname || '/';
+    return protocol + '//' + host + path.slice(0, path.lastIndexOf('/') + 1) + location;
+}
 
-    if (_params.method) _params.method = _params.method.toUpperCase();
+function hostOf(address) {
+    const u = url.parse(address);
+    return (u.hostname || u.host) + ':' + u.port;
+}
 
-    const options = Object.assign(url.parse(address), _params);
+//Fills in the defaults for the 'retry' param, which may also be just the number of retries
+function retryOptions(retry, method) {
+    if (typeof retry === 'number') retry = { count: retry };
+    retry = retry || {};
+    const methods = retry.methods || IDEMPOTENT_METHODS;
+    return {
+        count: methods.indexOf(method) >= 0 ? (retry.count || 0) : 0,
+        backoff: retry.backoff === undefined ? 1e3 : retry.backoff,
+        retryOn: retry.retryOn || [408, 429, 500, 502, 503, 504]
+    };
+}
 
-    let aborted = false;
+//Errors worth retrying: the request failed to send, or the response took too long
+function isNetworkError(e) {
+    return e instanceof FetchError && (e.type === 'network' || e.type === 'timeout');
+}
 
-    return new Promise(function (r, j) {
+//The host of http.request() options, without the port
+function hostname(options) {
+    return (options.hostname || options.host || '').split(':')[0];
+}
+
+//The response from an Agent. Like Espruino's http responses, the body is buffered until there is a 'data' listener
+class AgentResponse {
+    constructor(statusLine, headers) {
+        const status = statusLine.split(' ');
+        this.httpVersion = status[0].split('/')[1];
+        this.statusCode = status[1];
+        this.statusMessage = status.slice(2).join(' ');
+        this.headers = headers;
+        this.__decoded = true; //the Agent decodes chunked bodies itself
+        this.__buffer = [];
+        this.__flowing = false;
+        this.__ended = false;
+    }
+    on(event, listener) {
+        Object.prototype.on.call(this, event, listener);
+        if (event === 'data' && !this.__flowing) {
+            this.__flowing = true;
+            const _this = this;
+            //wait for any 'close' and 'error' listeners too
+            setTimeout(function () {
+                _this.__flush();
+            }, 0);
+        }
+        return this;
+    }
+    __push(data) {
+        if (this.__flowing && !this.__buffer.length) this.emit('data', data);
+        else this.__buffer.push(data);
+    }
+    __end(e) {
+        this.__ended = true;
+        this.__error = e;
+        if (this.__flowing && !this.__buffer.length) this.__flush();
+    }
+    __flush() {
+        while (this.__buffer.length) this.emit('data', this.__buffer.shift());
+        if (this.__ended) {
+            if (this.__error) this.emit('error', this.__error);
+            else this.emit('close');
+        }
+    }
+}
+
+/*
+ * Keeps connections open between requests to the same host (HTTP/1.1 keep-alive), instead of opening a new one for every
+ * request like the 'http' module does. At most maxSockets are opened to each host, and further requests wait in a queue.
+ */
+class Agent {
+    constructor(options) {
+        options = options || {};
+        this.keepAlive = options.keepAlive !== false;
+        this.maxSockets = options.maxSockets || 2;
+        this.keepAliveTimeout = options.keepAliveTimeout === undefined ? 5e3 : options.keepAliveTimeout;
+        this.pools = {}; //host -> {sockets, idle, queue}
+    }
 
-        if (signal) {  //if using an AbortController
-            function abortFetch() {
-                aborted = true;
-                j('Fetch Error: REQUEST ABORTED.')
+    //Like http.request(): returns a request that is sent with .end(content), emits 'error', and can be cancelled with .abort()
+    request(options, callback) {
+        const agent = this;
+        let job;
+        const req = {
+            end: function (content) {
+                const key = (options.protocol || 'http:') + '//' + hostname(options) + ':' + options.port;
+                const pool = agent.pools[key] || (agent.pools[key] = { sockets: 0, idle: [], queue: [] });
+                job = { options: options, content: content || "", callback: callback, req: req, pool: pool };
+                pool.queue.push(job);
+                agent.__next(pool);
+            },
+            //A request still waiting for a connection is never sent. Otherwise its connection is closed, as the response can't be used
+            abort: function () {
+                if (!job || job.aborted) return;
+                job.aborted = true;
+                const i = job.pool.queue.indexOf(job);
+                if (i >= 0) job.pool.queue.splice(i, 1);
+                else if (job.conn && job.conn.job === job) job.conn.socket.end();
             }
-            signal.on('abort', abortFetch);
+        };
+        return req;
+    }
+
+    //Closes any idle connections
+    destroy() {
+        for (const key in this.pools) {
+            this.pools[key].idle.slice().forEach(conn => conn.socket.end());
+        }
+    }
+
+    //Sends the queued requests on idle connections, or new ones while there is room
+    __next(pool) {
+        while (pool.queue.length) {
+            const conn = pool.idle.pop();
+            if (conn) {
+                if (conn.idleTimer) clearTimeout(conn.idleTimer);
+                conn.idleTimer = undefined;
+                this.__send(conn, pool.queue.shift());
+            } else if (pool.sockets < this.maxSockets) {
+                this.__connect(pool, pool.queue.shift());
+            } else {
+                return;
+            }
+        }
+    }
+
+    __connect(pool, job) {
+        const agent = this;
+        const options = job.options;
+        const tls = options.protocol === 'https:';
+        const conn = { pool: pool, reused: false };
+        pool.sockets++;
+        conn.job = job; //so that errors while connecting are reported to this request
+        job.conn = conn;
+        conn.socket = require(tls ? 'tls' : 'net').connect(Object.assign({}, options, {
+            host: hostname(options),
+            port: options.port || (tls ? 443 : 80)
+        }), function () {
+            if (job.aborted) return conn.socket.end();
+            agent.__send(conn, job);
+        });
+        conn.socket.on('data', data => agent.__onData(conn, data));
+        conn.socket.on('error', function (e) {
+            conn.error = e;
+            agent.__onClose(conn);
+        });
+        conn.socket.on('close', () => agent.__onClose(conn));
+    }
+
+    __send(conn, job) {
+        Object.assign(conn, { job: job, res: undefined, head: "", received: false, chunked: undefined });
+        job.conn = conn;
+        const options = job.options;
+        const headers = new Headers(options.headers);
+        if (!headers.has('Host')) headers.set('Host', hostname(options) + (options.port ? ':' + options.port : ''));
+        if (!headers.has('Connection')) headers.set('Connection', this.keepAlive ? 'keep-alive' : 'close');
+        if (job.content && !headers.has('Content-Length')) headers.set('Content-Length', job.content.length);
+
+        let head = (options.method || 'GET') + ' ' + (options.path || '/') + ' HTTP/1.1\r\n';
+        const obj = headers.__toObject();
+        for (const name in obj) head += name + ': ' + obj[name] + '\r\n';
+        conn.socket.write(head + '\r\n' + job.content);
+    }
+
+    __onData(conn, data) {
+        if (!conn.job || conn.job.aborted) return; //nothing was asked for, or nobody is waiting for it
+        conn.received = true;
+
+        if (!conn.res) {
+            conn.head += data;
+            const end = conn.head.indexOf('\r\n\r\n');
+            if (end < 0) return;
+            const lines = conn.head.slice(0, end).split('\r\n');
+            data = conn.head.slice(end + 4);
+
+            const headers = new Headers();
+            lines.slice(1).forEach(function (line) {
+                const i = line.indexOf(':');
+                if (i > 0) headers.append(line.slice(0, i).trim(), line.slice(i + 1).trim());
+            });
+            const res = conn.res = new AgentResponse(lines[0], headers.__toObject());
+            const status = parseInt(res.statusCode);
+
+            conn.keepAlive = this.keepAlive && res.httpVersion !== '1.0' && (headers.get('Connection') || '').toLowerCase() !== 'close';
+            if (conn.job.options.method === 'HEAD' || status === 204 || status === 304) {
+                conn.remaining = 0;
+            } else if (/chunked/i.test(headers.get('Transfer-Encoding'))) {
+                conn.chunked = new ChunkedDecoder();
+            } else if (headers.has('Content-Length')) {
+                conn.remaining = parseInt(headers.get('Content-Length')) || 0;
+            } else {
+                //the body ends when the connection closes
+                conn.remaining = Infinity;
+                conn.keepAlive = false;
+            }
+            conn.job.callback(res);
         }
 
-        const req = http.request(options, function (res) {
-            try {
-                if (signal) signal.removeAllListeners('abort');
-                if (aborted) throw new Error('Request Aborted.');
+        if (conn.chunked) {
+            const out = conn.chunked.push(data);
+            if (out) conn.res.__push(out);
+            if (conn.chunked.finished) this.__done(conn);
+        } else {
+            const part = data.slice(0, conn.remaining);
+            conn.remaining -= part.length;
+            if (part) conn.res.__push(part);
+            if (!conn.remaining) this.__done(conn);
+        }
+    }
 
-                r(new FetchResponse(res))
-            } catch (e) {
-                j("Could Not Create FetchResponse Object: " + e)
+    //The response is complete: the connection is kept for the next request, or closed
+    __done(conn) {
+        const res = conn.res;
+        conn.job = conn.res = conn.chunked = undefined;
+        res.__end();
+        if (!conn.keepAlive) return conn.socket.end();
+
+        conn.reused = true;
+        conn.pool.idle.push(conn);
+        if (this.keepAliveTimeout) conn.idleTimer = setTimeout(function () {
+            conn.idleTimer = undefined;
+            conn.socket.end();
+        }, this.keepAliveTimeout);
+        this.__next(conn.pool);
+    }
+
+    __onClose(conn) {
+        if (conn.closed) return;
+        conn.closed = true;
+        const pool = conn.pool;
+        pool.sockets--;
+        if (pool.idle.indexOf(conn) >= 0) pool.idle.splice(pool.idle.indexOf(conn), 1);
+        if (conn.idleTimer) clearTimeout(conn.idleTimer);
+
+        const job = conn.job;
+        if (job) {
+            conn.job = undefined;
+            if (conn.res) {
+                //fine if the body ends with the connection, otherwise it was cut short
+                conn.res.__end(conn.remaining === Infinity && !conn.error ? undefined : (conn.error || 'Connection closed'));
+            } else if (job.aborted) {
+                //nobody is waiting for it
+            } else if (conn.reused && !conn.received) {
+                //the server closed the idle connection just as it was reused, so try again on a new one
+                pool.queue.unshift(job);
+            } else {
+                job.req.emit('error', conn.error || 'Connection closed');
             }
+        }
+        this.__next(pool);
+    }
+}
+
+//Sends a single request, and resolves to the response once its headers arrive
+function request(address, options, content, timeout, agent, signal) {
+    return new Promise(function (r, j) {
+        let timer, settled = false;
+        const settle = function () {
+            settled = true;
+            if (timer) clearTimeout(timer);
+            if (signal) signal.removeListener('abort', onAbort);
+        };
+        //Gives up on the request. Where it can be (e.g. fetch.Agent's), the request is cancelled too, so a queued one is never sent
+        const cancel = function (e) {
+            settle();
+            if (req.abort) req.abort();
+            j(e);
+        };
+        const onAbort = () => cancel(new FetchError('Request aborted', { type: 'aborted', url: address, reason: signal.reason }));
+        if (timeout) timer = setTimeout(() => cancel(new FetchError('Request timed out', { type: 'timeout', url: address })), timeout);
+        if (signal) signal.on('abort', onAbort);
+
+        const req = (agent || http).request(options, function (res) {
+            if (settled) return res.on('data', function () { }); //too late, discard the response
+            settle();
+            r(res);
         });
         req.on('error', function (e) {
-            j('HTTP Error: ' + e);
+            if (settled) return;
+            settle();
+            j(new FetchError('Network error: ' + e, { type: 'network', url: address }));
         });
         req.end(content);
+    });
+}
+
+function fetch(input, params) {
+    //the caller's params are left as they are
+    const _request = new Request(input, params);
+    const address = _request.url;
+    const headers = new Headers(_request.headers);
+
+    const encoded = encodeBody(_request.body);
+    const content = encoded.content;
+    if (content !== undefined) {
+        headers.set("Content-Length", content.length);
+        if (!headers.has("Content-Type")) headers.set("Content-Type", encoded.type);
+    }
+
+    //ask for the encodings that can be decoded, except heatshrink, which isn't a registered content-coding
+    const encodings = Object.keys(DECODERS).filter(name => name !== 'heatshrink');
+    if (encodings.length && !headers.has("Accept-Encoding")) headers.set("Accept-Encoding", encodings.join(', '));
+
+    const signal = _request.signal; //if using an AbortController
+    const bodyTimeout = _request.bodyTimeout;
+    const timeout = _request.timeout;
+    const redirect = _request.redirect;
+    const maxRedirects = _request.maxRedirects === undefined ? 5 : _request.maxRedirects;
+    const retry = retryOptions(_request.retry, _request.method);
+
+    //builds the options for http.request()
+    const httpOptions = (address, method, headers) => Object.assign(url.parse(address), _request.__options, { method: method, headers: headers.__toObject() });
+    const options = httpOptions(address, _request.method, headers);
+
+    let aborted = false;
+    let retryTimer;
+    const abortError = () => new FetchError('Request aborted', { type: 'aborted', url: address, reason: signal && signal.reason });
+
+    //Sends the request, following redirects if need be
+    function send(address, options, headers, content, redirects) {
+        return request(address, options, content, timeout, _request.agent, signal).then(function (res) {
+            const response = new FetchResponse(res, { url: address, bodyTimeout: bodyTimeout, redirected: redirects > 0, signal: signal });
+            const location = response.headers.get('Location');
+            if (REDIRECT_CODES.indexOf(response.status) < 0 || !location || redirect === 'manual') return response;
+
+            response.__discard();
+            if (redirect === 'error') throw new FetchError('Redirected to ' + location, { type: 'redirect', url: address, status: response.status });
+            if (redirects >= maxRedirects) throw new FetchError('Too many redirects', { type: 'redirect', url: address, status: response.status });
+            if (aborted) throw abortError();
+
+            const next = resolveURL(address, location);
+            const nextHeaders = new Headers(headers);
+            let method = options.method;
+            //303s, and 301/302s after a POST, are followed with a GET without the body
+            if (response.status === 303 || (response.status <= 302 && method === 'POST')) {
+                method = 'GET';
+                nextHeaders.delete("Content-Length");
+                nextHeaders.delete("Content-Type");
+                content = undefined;
+            }
+            //don't send credentials to another host
+            if (hostOf(next) !== hostOf(address)) {
+                nextHeaders.delete("Authorization");
+                nextHeaders.delete("Proxy-Authorization");
+                nextHeaders.delete("Cookie");
+            }
+            return send(next, httpOptions(next, method, nextHeaders), nextHeaders, content, redirects + 1);
+        });
+    }
+
+    //Sends the request, and retries (with exponential backoff) on network errors, timeouts and retry.retryOn status codes
+    function attempt(n) {
+        const retryAfter = function () {
+            return new Promise(function (r) {
+                retryTimer = setTimeout(r, retry.backoff * Math.pow(2, n));
+            }).then(function () {
+                retryTimer = undefined;
+                if (aborted) throw abortError();
+                return attempt(n + 1);
+            });
+        };
+        return send(address, options, headers, content, 0).then(function (response) {
+            if (n >= retry.count || retry.retryOn.indexOf(response.status) < 0) return response;
+            response.__discard();
+            return retryAfter();
+        }, function (e) {
+            if (n >= retry.count || aborted || !isNetworkError(e)) throw e;
+            return retryAfter();
+        });
+    }
+
+    return new Promise(function (r, j) {
+        if (signal && signal.aborted) return j(abortError()); //don't even send it
+
+        function abortFetch() {
+            aborted = true;
+            if (retryTimer) clearTimeout(retryTimer);
+            j(abortError());
+        }
+        if (signal) signal.on('abort', abortFetch); //if using an AbortController
+
+        attempt(0).then(function (response) {
+            if (signal) signal.removeListener('abort', abortFetch);
+            if (aborted) return response.__discard();
+            //the network is back, so send anything that was queued while it was down
+            const queue = queueFor(_request);
+            if (queue && queue.length && !queue.replaying) queue.replay();
+            r(response);
+        }, function (e) {
+            if (signal) signal.removeListener('abort', abortFetch);
+            j(e);
+        });
     }).catch(e => {
         console.log(e, { options, content });
+        const queue = queueFor(_request);
+        if (queue && isNetworkError(e)) {
+            const entry = queue.__add({ method: _request.method, url: address, headers: headers.__toObject(), body: content, timeout: timeout });
+            e.queued = true;
+            e.queueId = entry.id;
+        }
         throw e;
     });
 }
 
+//Joins a URL to a client's baseURL, unless it is already absolute
+function joinURL(baseURL, address) {
+    if (!baseURL || /^[a-z][a-z0-9+.-]*:/i.test(address)) return address;
+    return address ? baseURL.replace(/\/$/, '') + '/' + address.replace(/^\//, '') : baseURL;
+}
+
+//Merges a list of headers into a new Headers, overriding the earlier ones name by name
+function mergeHeaders(list) {
+    const headers = new Headers();
+    list.forEach(function (each) {
+        const overrides = new Headers(each);
+        for (const key in overrides.__map) headers.set(overrides.__map[key][0], overrides.__map[key][1]);
+    });
+    return headers;
+}
+
+//Whether a body is a plain object or array, which clients send as JSON
+function isPlainObject(body) {
+    return typeof body === 'object' && body !== null && (Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype);
+}
+
+/*
+ * Creates a client: a fetch() with defaults (baseURL, headers, and any fetch params, e.g. timeout) and interceptors.
+ * interceptors.request functions are called in order with the fetch.Request, and may return (or resolve to) a new one.
+ * interceptors.response functions are called in order with the result of the previous one (starting with the FetchResponse) and the request.
+ * interceptors.error functions are called in order with the FetchError and the request, until one returns something other than undefined, which the request resolves to.
+ * Responses that aren't ok are rejected with a FetchError (type: 'http', with the status and body), unless throwHttpErrors is false.
+ */
+function create(defaults) {
+    defaults = Object.assign({}, defaults);
+    const interceptors = defaults.interceptors || {};
+    const baseURL = defaults.baseURL;
+    const throwHttpErrors = defaults.throwHttpErrors !== false;
+    delete defaults.interceptors;
+    delete defaults.baseURL;
+    delete defaults.throwHttpErrors;
+
+    function client(input, params) {
+        params = Object.assign({}, params);
+        if (isPlainObject(params.body)) {
+            params.body = JSON.stringify(params.body);
+            params.headers = new Headers(params.headers);
+            if (!params.headers.has('Content-Type')) params.headers.set('Content-Type', 'application/json');
+        }
+
+        let request;
+        if (input instanceof Request) {
+            //the Request's own fields win over the defaults, which only fill in the ones it left unset
+            const init = {};
+            for (const key in defaults) {
+                const own = FETCH_PARAMS.indexOf(key) < 0 ? input.__options[key] : input[key];
+                if (own === undefined) init[key] = defaults[key];
+            }
+            const headers = mergeHeaders([defaults.headers, input.headers, params.headers]);
+            request = new Request(input, Object.assign(init, params, { headers: headers }));
+            request.url = joinURL(baseURL, input.url);
+        } else {
+            //the default headers are overridden one by one
+            const headers = mergeHeaders([defaults.headers, params.headers]);
+            request = new Request(joinURL(baseURL, String(input)), Object.assign({}, defaults, params, { headers: headers }));
+        }
+
+        return promiseReduce(client.interceptors.request.map(interceptor => req => Promise.resolve(interceptor(req)).then(result => result === undefined ? req : result)), request)
+            .then(function (req) {
+                request = req;
+                return fetch(req);
+            })
+            .then(function (response) {
+                if (response.ok || !throwHttpErrors) return response;
+                return response.text().catch(() => undefined).then(function (body) {
+                    throw new FetchError('HTTP Error: ' + response.status + ' ' + response.statusText, { type: 'http', url: response.url, status: response.status, body: body });
+                });
+            })
+            .then(response => promiseReduce(client.interceptors.response.map(interceptor => result => interceptor(result, request)), response))
+            .catch(function (e) {
+                return promiseReduce(client.interceptors.error.map(interceptor => result => result !== undefined ? result : interceptor(e, request)))
+                    .then(function (result) {
+                        if (result === undefined) throw e;
+                        return result;
+                    });
+            });
+    }
+
+    client.interceptors = {
+        request: (interceptors.request || []).slice(),
+        response: (interceptors.response || []).slice(),
+        error: (interceptors.error || []).slice()
+    };
+
+    ['get', 'head', 'delete'].forEach(function (method) {
+        client[method] = (input, params) => client(input, Object.assign({}, params, { method: method.toUpperCase() }));
+    });
+    ['post', 'put', 'patch'].forEach(function (method) {
+        client[method] = (input, body, params) => client(input, Object.assign({}, params, { method: method.toUpperCase(), body: body }));
+    });
+    return client;
+}
+
+/*
+ * A queue of requests that failed with network errors, persisted to Storage (as a JSON array) so that they survive a restart.
+ * replay() sends them in order, and retries with exponential backoff while the network is still down. Requests may be sent more than once
+ * (e.g. if they timed out after reaching the server).
+ * Events: 'queued' (entry), 'sent' (entry, response), 'failed' (entry, error), 'dropped' (entry, when the queue is full) and 'drained'.
+ * An error thrown by a listener is logged, and doesn't stop the queue.
+ */
+class OfflineQueue {
+    constructor(options) {
+        options = options || {};
+        this.file = options.file || 'fetchq.json';
+        this.maxSize = options.maxSize || 50;
+        this.backoff = options.backoff || 5e3;
+        this.maxBackoff = options.maxBackoff || 3e5;
+        this.taskManager = options.taskManager;
+        this.enabled = !!options.enabled; //whether every request that fails with a network error is queued, rather than only those with {queue: true}
+        this.replaying = false;
+        this.__failures = 0; //replays in a row that failed, for the backoff
+        this.__lastId = 0;
+    }
+
+    //The queued entries: {id, method, url, headers, body, timeout, time, attempts}
+    get entries() {
+        if (!this.__entries) this.__entries = require('Storage').readJSON(this.file, true) || [];
+        return this.__entries;
+    }
+    get length() {
+        return this.entries.length;
+    }
+
+    __save() {
+        if (this.entries.length) require('Storage').writeJSON(this.file, this.entries);
+        else require('Storage').erase(this.file);
+    }
+
+    //Queues a request, given as a fetch.Request or (url, params). Its body is stored as it would be sent
+    add(input, params) {
+        const request = new Request(input, params);
+        const headers = new Headers(request.headers);
+        const encoded = encodeBody(request.body);
+        if (encoded.content !== undefined && !headers.has("Content-Type")) headers.set("Content-Type", encoded.type);
+        const entry = this.__add({ method: request.method, url: request.url, headers: headers.__toObject(), body: encoded.content, timeout: request.timeout });
+        this.__schedule(0);
+        return entry;
+    }
+
+    __add(entry) {
+        this.__lastId = entry.id = Math.max(Date.now(), this.__lastId + 1);
+        entry.time = Date.now();
+        entry.attempts = 0;
+        const entries = this.entries;
+        entries.push(entry);
+        while (entries.length > this.maxSize) this.__emit('dropped', entries.shift());
+        this.__save();
+        this.__emit('queued', entry);
+        if (!this.__timer && !this.replaying) this.__schedule(this.__delayTime());
+        return entry;
+    }
+
+    //Removes an entry once it is done with. It is looked up by id, as it may have been dropped (or the queue cleared) while it was being sent
+    __remove(entry) {
+        const i = this.entries.findIndex(x => x.id === entry.id);
+        if (i >= 0) this.entries.splice(i, 1);
+        this.__save();
+    }
+
+    //Emits an event, without letting a listener that throws break the replay (or the fetch() that queued the request)
+    __emit(event, a, b) {
+        try {
+            this.emit(event, a, b);
+        } catch (e) {
+            console.log('OfflineQueue:', event, 'listener failed:', e);
+        }
+    }
+
+    //Removes every queued request
+    clear() {
+        if (this.__timer) clearTimeout(this.__timer);
+        this.__timer = undefined;
+        this.__entries = [];
+        this.__save();
+    }
+
+    __delayTime() {
+        return Math.min(this.backoff * Math.pow(2, this.__failures), this.maxBackoff);
+    }
+
+    //Runs replay() after a delay, on the TaskManager if there is one
+    __schedule(delay) {
+        const _this = this;
+        if (this.__timer) clearTimeout(this.__timer);
+        this.__timer = setTimeout(function () {
+            _this.__timer = undefined;
+            if (!_this.taskManager) return _this.replay();
+            //the id keeps the replay from being queued more than once
+            _this.taskManager.enqueueTask({ taskType: 'FetchQueueReplay', id: 'replay:' + _this.file, taskFunc: () => _this.replay() });
+        }, delay);
+    }
+
+    //Sends the queued requests in order, until one fails with a network error. Resolves once it stops, and never rejects
+    replay() {
+        if (this.replaying) return this.replaying;
+        if (this.__timer) clearTimeout(this.__timer);
+        this.__timer = undefined;
+
+        const _this = this;
+        const next = function () {
+            const entry = _this.entries[0];
+            if (!entry) {
+                _this.__failures = 0;
+                _this.__emit('drained');
+                return;
+            }
+            entry.attempts++;
+            return fetch(entry.url, { method: entry.method, headers: entry.headers, body: entry.body, timeout: entry.timeout, queue: false }).then(function (response) {
+                //any response means it was delivered, even if the server didn't like it
+                _this.__remove(entry);
+                _this.__emit('sent', entry, response);
+                response.__discard();
+                return next();
+            }, function (e) {
+                _this.__emit('failed', entry, e);
+                if (!isNetworkError(e)) {
+                    //it won't go any better next time
+                    _this.__remove(entry);
+                    return next();
+                }
+                _this.__save(); //for the number of attempts
+                _this.__schedule(_this.__delayTime());
+                _this.__failures++;
+            });
+        };
+        this.replaying = Promise.resolve().then(next).then(function () {
+            _this.replaying = false;
+        }, function (e) {
+            //e.g. Storage is full. Try again later, rather than leaving the queue stuck on this replay
+            console.log('OfflineQueue: replay failed:', e);
+            _this.replaying = false;
+            _this.__schedule(_this.__delayTime());
+            _this.__failures++;
+        });
+        return this.replaying;
+    }
+}
+
+//The queue that a request goes to if it fails with a network error, if any
+function queueFor(request) {
+    if (request.queue instanceof OfflineQueue) return request.queue;
+    if (request.queue === true || (request.queue !== false && fetch.queue.enabled)) return fetch.queue;
+}
+
+fetch.create = create;
+fetch.FetchError = FetchError;
+fetch.Headers = Headers;
+fetch.Request = Request;
+fetch.URLSearchParams = URLSearchParams;
+fetch.FormData = FormData;
+fetch.Agent = Agent;
+fetch.decoders = DECODERS;
+fetch.OfflineQueue = OfflineQueue;
+fetch.queue = new OfflineQueue();
+
 module.exports = fetch;
\ No newline at end of file
@@ -55,8 +55,27 @@
  * @property {string} path The request path
  * @property {Object} params Contains the parsed route parameters, if applicable
  * @property {Object} query The parsed query parameters
- * @property {Promise<string|false>} [body] A promise that resolves to the request body (for POST/PUT requests). As per Espruino documentation, request body must be a string. If there is no body provided, or it times out, it resolves to false.
+ * @property {Object<string, string>} cookies The parsed cookies sent with the request
+ * @property {Object} [session] The session data (set by server.session). Call ctx.session.destroy() to end the session
+ * @emits headers Right before the reply headers are written. The ServerReply is passed, so headers and cookies can still be added
+ * @property {Promise<string|false>} [body] A promise that resolves to the full request body (for POST/PUT/PATCH/DELETE requests), once every chunk has arrived. The body is only read when first accessed. As per Espruino documentation, request body must be a string. If there is no body provided, it times out, or it exceeds MAX_BODY_SIZE (a 413 reply is sent), it resolves to false.
  * @property {Promise<string|false>} [data] Alias for body
+ * @property {number} startTime When the request was received (from Date.now())
+ * @property {number} [responseStatus] The status code that was sent, once the reply headers have been written
+ * @property {number} bytesSent The number of response body bytes sent so far
+ * @emits finish When the reply has been sent
+ * 
+ * @property {*} [json] The parsed JSON request body (set by server.bodyParser)
+ * @property {Object} [form] The parsed urlencoded or multipart form fields (set by server.bodyParser)
+ * @property {Object<string, {filename: string, type: string, size: number, data: string}>} [files] The uploaded multipart files (set by server.bodyParser)
+ * 
+ * @method header Case-insensitive lookup of a request header
+ * @param {string} name The header name, e.g. 'Content-Type'
+ * @returns {string|undefined} The header value
+ * 
+ * @method stream Passes each chunk of the request body to onChunk as it arrives, instead of collecting it in RAM. Use instead of body, not together with it.
+ * @param {function(string): void} onChunk Called with each chunk of the request body
+ * @returns {Promise<number>} Resolves to the total number of bytes received. Rejects on timeout, or if MAX_BODY_SIZE is exceeded (a 413 reply is sent)
  */
 
 /**
@@ -65,7 +84,7 @@
  * @param {RequestContext} ctx The request context
  * @property {httpSRs} res The original HTTP server-response object
  * 
- * @method headers
+ * @method headers Merges headers into the reply (which start out as ctx.responseHeaders), overriding any with the same name
  * @param {Object} pairs An object containing header key-value pairs
  * @returns {ServerReply} The ServerReply instance (for chaining)
  * 
@@ -80,28 +99,132 @@
  * @method json
  * @param {Object} data The JSON object to send as the response body
  * @returns {ServerReply} The ServerReply instance (for chaining)
+ * 
+ * @method type Sets the Content-Type
+ * @param {string} contentType A file extension (e.g. 'html', 'json') or a full MIME type
+ * @returns {ServerReply} The ServerReply instance (for chaining)
+ * 
+ * @method redirect Sets the status and Location header for a redirect
+ * @param {string} location The URL to redirect to
+ * @param {number} [code=302] The HTTP status code
+ * @returns {ServerReply} The ServerReply instance (for chaining)
+ * 
+ * @method cookie Adds a Set-Cookie header. Cookies are kept on the ctx, so cookies set by earlier Middleware are included too
+ * @param {string} name The cookie name
+ * @param {string} value The cookie value (URL-encoded when sent)
+ * @param {{maxAge: number, expires: Date, path: string, domain: string, sameSite: string, secure: boolean, httpOnly: boolean}} [opts] Cookie attributes. path defaults to '/', and httpOnly to true
+ * @returns {ServerReply} The ServerReply instance (for chaining)
+ * 
+ * @method clearCookie Tells the client to delete a cookie
+ * @param {string} name The cookie name
+ * @param {Object} [opts] Cookie attributes (path and domain must match the ones the cookie was set with)
+ * @returns {ServerReply} The ServerReply instance (for chaining)
+ * 
+ * @method stream Sends chunks with Transfer-Encoding: chunked, so large responses never sit in RAM as a single string
+ * @param {(function(): (string|Promise<string>|undefined)|{next: function(): {value: string, done: boolean}})} source A function returning the next chunk (or a Promise of it), or an iterator. undefined ends the response
+ * @returns {Promise<ServerReply>} Resolves once every chunk has been sent. Return it from the RouteHandler
+ * 
+ * @method render Renders a template from Storage, replacing {{key}} with the HTML-escaped value of data.key ({{&key}} is not escaped, keys may be dotted paths). The output is streamed
+ * @param {string} template The Storage file name of the template
+ * @param {Object} data The values for the template
+ * @returns {Promise<ServerReply>} Resolves once the page has been sent. Rejects if the template doesn't exist. Return it from the RouteHandler
+ * 
+ * @method sse Starts a Server-Sent Events stream. The response stays open until the stream is closed or the client disconnects
+ * @param {{heartbeat: number, retry: number}} [opts] heartbeat (ms between keep-alive comments, default 15e3, 0 to disable), and retry (reconnection time sent to the client, in ms)
+ * @returns {ServerSentEvents} The stream. Return it from the RouteHandler
+ */
+
+/**
+ * @class ServerSentEvents
+ * @description A Server-Sent Events stream created by ServerReply.sse()
+ * @property {boolean} closed Whether the stream has been closed
+ * @property {string} [lastEventId] The Last-Event-ID header sent by a reconnecting client
+ * @emits close When the stream is closed, or the client disconnects
+ * 
+ * @method send Sends an event. Non-string data is JSON.stringify-ed
+ * @param {*} data The event data
+ * @param {{event: string, id: (string|number)}} [opts] The event name and id
+ * @returns {ServerSentEvents} The ServerSentEvents instance (for chaining)
+ * 
+ * @method comment Sends a comment, which is ignored by the client
+ * @param {string} [text]
+ * @returns {ServerSentEvents} The ServerSentEvents instance (for chaining)
+ * 
+ * @method close Ends the response
+ * @returns {void}
+ */
+
+/**
+ * @class SSEHub
+ * @description Keeps track of open ServerSentEvents streams, so that events can be published to all of them
+ * @property {Array<ServerSentEvents>} channels The open streams
+ * 
+ * @method add Adds a stream to the hub until it closes
+ * @param {ServerSentEvents} channel
+ * @returns {ServerSentEvents} The same stream
+ * 
+ * @method send Sends an event to every open stream
+ * @param {*} data The event data
+ * @param {{event: string, id: (string|number)}} [opts] The event name and id
+ * @returns {SSEHub} The SSEHub instance (for chaining)
+ * 
+ * @method close Closes every open stream
+ * @returns {void}
+ */
+
+/**
+ * @class ServerWebSocket
+ * @description A WebSocket connection created by ServerRouter.ws(). Connections that don't answer a keep-alive ping are closed.
+ * @property {RequestContext} ctx The request context of the Upgrade request
+ * @property {boolean} closed Whether the connection has been closed
+ * @emits message When a message is received. The data is passed as a string
+ * @emits pong When a pong is received
+ * @emits close When the connection closes. The close code is passed
+ * 
+ * @method send Sends a message. Non-string data (other than ArrayBuffers/typed arrays) is JSON.stringify-ed
+ * @param {*} data The data to send
+ * @param {boolean} [binary=false] Whether to send a binary frame instead of a text frame
+ * @returns {ServerWebSocket} The ServerWebSocket instance (for chaining)
+ * 
+ * @method broadcast Sends a message to every other client connected to the same route
+ * @param {*} data The data to send
+ * @param {boolean} [binary=false] Whether to send a binary frame instead of a text frame
+ * @returns {ServerWebSocket} The ServerWebSocket instance (for chaining)
+ * 
+ * @method close
+ * @param {number} [code=1000] The close code
+ * @param {string} [reason] The close reason
+ * @returns {void}
  */
 
 /**
  * @callback Middleware
  * @param {RequestContext} ctx The request context
- * @returns {(ServerReply|Object|string|Promise|undefined)} The response to send (stop processing further middleware and routes), or undefined to continue to the next middleware
+ * @returns {(ServerReply|Object|string|Promise|undefined)} The response to send (stop processing further middleware and routes), or undefined (or a Promise resolving to undefined) to continue to the next middleware
  */
 
 /**
  * @callback RouteHandler
  * @param {string} route The route path, e.g. '/users/:id'
- * @param {Middleware} func The handler function for the route
+ * @param {Middleware|Array<MiddlewareAndRoutes>} func The handler function for the route, or an array of MiddlewareAndRoutes to run in sequence (e.g. [auth, handler])
  * @property {string} route The route path
  */
 
+/**
+ * @callback ErrorHandler
+ * @param {*} err The error thrown by a Middleware/RouteHandler (or the reason a returned Promise rejected)
+ * @param {RequestContext} ctx The request context
+ * @returns {(ServerReply|Object|string|Promise|undefined)} The reply to send, or undefined to pass the error on to the next ErrorHandler. If no ErrorHandler replies, a JSON error is sent with status `err.status || 500`
+ */
+
 /**
  * @typedef {Middleware|RouteHandler|Array<Middleware|RouteHandler|MiddlewareAndRoutes>} MiddlewareAndRoutes A single Middleware or RouteHandler, or an array of Middlewares, RouteHandlers, and/or nested arrays of them
  */
 
 /**
  * @class ServerRouter
- * @description A class containing static methods for creating route handlers (get, post, put, del).
+ * @description A class containing static methods for creating route handlers (get, post, put, del, patch, head, options, all) and mounting sub-routers (use).
+ * Routes may contain `:param` segments, optional `:param?` segments, and a trailing `*` wildcard (stored in ctx.params['*']). Param values are URL-decoded.
  * 
  * @static @method get
  * @param {string} route The route path, e.g. '/users/:id'
@@ -122,15 +245,59 @@
  * @param {string} route The route path, e.g. '/users/:id'
  * @param {Middleware} func The handler function for the route
  * @returns {RouteHandler} The route handler function
+ * 
+ * @static @method patch
+ * @param {string} route The route path, e.g. '/users/:id'
+ * @param {Middleware} func The handler function for the route
+ * @returns {RouteHandler} The route handler function
+ * 
+ * @static @method head
+ * @param {string} route The route path, e.g. '/users/:id'
+ * @param {Middleware} func The handler function for the route
+ * @returns {RouteHandler} The route handler function
+ * 
+ * @static @method options
+ * @param {string} route The route path, e.g. '/users/:id'
+ * @param {Middleware} func The handler function for the route
+ * @returns {RouteHandler} The route handler function
+ * 
+ * @static @method all Matches the route for any request method
+ * @param {string} route The route path, e.g. '/users/:id'
+ * @param {Middleware} func The handler function for the route
+ * @returns {RouteHandler} The route handler function
+ * 
+ * @static @method ws Upgrades GET requests for the route to a WebSocket, and passes the ServerWebSocket to func. Other requests for the route get a 426 reply. The returned RouteHandler also has a `clients` array and a `broadcast(data, binary)` helper
+ * @param {string} route The route path, e.g. '/live'
+ * @param {function(ServerWebSocket): void} func Called with each new connection
+ * @param {{pingInterval: number, maxPayload: number}} [opts] pingInterval (ms, default 30e3, 0 to disable) for keep-alive pings, and maxPayload (bytes, default MAX_BODY_SIZE) for incoming messages
+ * @returns {RouteHandler} The route handler function
+ * 
+ * @static @method use Mounts a sub-router under a path prefix. While it runs, the prefix is stripped from ctx.path and stored in ctx.baseUrl
+ * @param {string} prefix The path prefix, e.g. '/api'
+ * @param {...MiddlewareAndRoutes} middlewareAndRoutes The Middleware and RouteHandlers to run for paths under the prefix
+ * @returns {Middleware} The mounted sub-router
  */
 
 
 /**
- * @typedef {Object} ServerParams The server options object. Currently only supports PORT.
- * @property {number} [PORT=80] The port number to listen on.
+ * @typedef {Object} ServerParams The server options object.
+ * @property {number} [PORT=80] The port number to listen on (443 if TLS is set).
+ * @property {string} [HOST] The address to bind to, if the transport supports it.
+ * @property {{key: string, cert: string, ca: string}} [TLS] TLS options, passed to Espruino's 'https' module. If set, the server uses HTTPS.
+ * @property {Transport} [TRANSPORT] A custom transport factory, used instead of the 'http'/'https' modules (e.g. a local test stand-in).
+ * @property {number} [MAX_BODY_SIZE=4096] The maximum request body size in bytes. Larger requests get a 413 reply.
+ * @property {number} [BODY_TIMEOUT=5000] How long to wait for the next chunk of a request body (in ms) before giving up on it.
+ * @property {boolean} [HEADER_ARRAYS=false] Set if the transport's writeHead() takes an array of values for a header (as Node's does). Several cookies are then sent as a Set-Cookie array, rather than as repeated lines in one header value.
  */
 
 
+/**
+ * @callback Transport
+ * @param {function(httpSRq, httpSRs): void} handleReq The request listener, to be called with each request and response
+ * @param {ServerParams} options The server options
+ * @returns {httpSrv} The server instance. If it has a listen() method, it is called with PORT and HOST
+ */
+
 /**
  * @function server
  * @description Creates and starts an HTTP server with the specified options and middleware/route handlers.
@@ -147,6 +314,145 @@
  * 
  * @property {ServerRouter} router The ServerRouter class for creating route handlers
  * @property {ServerReply} reply The ServerReply class for constructing HTTP responses
+ * @property {function(ErrorHandler): server} onError Registers an ErrorHandler. ErrorHandlers run in the order they are registered, until one returns a reply.
+ * @property {Middleware} bodyParser Middleware that parses JSON, urlencoded and multipart request bodies into ctx.json, ctx.form and ctx.files. Malformed bodies get a 400 reply.
+ * @property {SSEHub} SSEHub The SSEHub class, for publishing Server-Sent Events to every connected client
+ * @property {ServerAuth} auth Authentication Middleware factories
+ * @property {function(RateLimitOptions=): Middleware} rateLimit Creates a Middleware that rate-limits requests per client with a token bucket (429 replies)
+ * @property {function(ConcurrencyOptions=): Middleware} concurrency Creates a Middleware that caps the number of requests being handled at once, and sheds load when memory is low (503 replies)
+ * @property {function(LoggerOptions=): Middleware} logger Creates a Middleware that writes an access log entry (with tracer.js) for each request once its reply has been sent
+ * @property {function(SessionOptions): Middleware} session Creates a Middleware that loads ctx.session before the routes run, and saves changes after the reply is sent. `session.MemoryStore` and `session.StorageStore` are the built-in SessionStores
+ * @property {function(ValidationSchema, Middleware=): (Middleware|Array<Middleware>)} validate Creates a Middleware that validates params, query and body against a schema, and replies 400 with a list of errors if they don't match. If a handler is given, returns [validator, handler] for use as a route's handler
+ * @property {function(MiddlewareAndRoutes, InjectRequest=, ServerParams=): Promise<InjectResponse>} inject Runs a request through MiddlewareAndRoutes without a socket, and resolves to the reply
+ * @property {function(string, ResourceOptions=): Array<RouteHandler>} resource Creates the RouteHandlers for a REST resource: a collection of JSON records persisted in Storage
+ * @property {function(string, RpcOptions): RouteHandler} rpc Creates a RouteHandler that implements JSON-RPC 2.0 over POST. `server.rpc.error(code, message?, data?)` creates an error that methods can throw
+ * @property {function(CorsOptions=): Middleware} cors Creates a Middleware that adds CORS headers for allowed origins, and answers preflight requests
+ * @property {function(string, StaticOptions=): Middleware} static Creates a Middleware that serves files under a path prefix from Storage (or fs)
+ */
+
+/**
+ * @typedef {Object} ServerAuth Authentication Middleware factories. The Middleware they create set ctx.user when the request is authenticated, and reply 401 with a WWW-Authenticate header when it isn't.
+ * @property {function({users: Object<string, string>, verify: function(string, string, RequestContext): (Object|boolean|Promise), realm: string}): Middleware} basic HTTP Basic auth, checked against a {name: password} table, or a verify(name, password, ctx) callback
+ * @property {function({tokens: (Array<string>|Object<string, Object>), verify: function(string, RequestContext): (Object|boolean|Promise), realm: string}): Middleware} bearer Bearer tokens, as an array of tokens, a {token: user} table, or a verify(token, ctx) callback
+ * @property {function({secret: string, secrets: Object<string, string>, maxSkew: number, maxSeen: number, realm: string}): Middleware} hmac HMAC-SHA256 signed requests, with timestamp and replay protection
+ * @property {function(string, string): string} hmacSHA256 Returns the hex HMAC-SHA256 of a message, for signing requests
+ */
+
+/**
+ * @typedef {Object} RateLimitOptions Options for server.rateLimit()
+ * @property {number} [rate=1] Requests per second each client's bucket is refilled with
+ * @property {number} [burst=5] The bucket size, i.e. how many requests a client can make at once
+ * @property {number} [maxClients=32] How many clients are tracked at once. The least recently seen client is forgotten first
+ * @property {function(RequestContext): (string|undefined)} [key] Returns the key to rate-limit by, or undefined to not limit the request. Defaults to the client's IP address. Without one, requests from transports that don't provide the address (e.g. Espruino's http module) aren't limited, and a warning is logged once
+ * @property {boolean} [trustProxy=false] Whether to use the last address in the X-Forwarded-For header. Only set this behind a reverse proxy that sets the header, since clients can send any value
+ */
+
+/**
+ * @typedef {Object} ConcurrencyOptions Options for server.concurrency()
+ * @property {number} [max=2] How many requests can be handled at once
+ * @property {number} [queue=0] How many extra requests can wait for a free slot. Any more get a 503 reply
+ * @property {number} [queueTimeout=5000] How long (in ms) a request can wait in the queue before getting a 503 reply
+ * @property {number} [minFree] If set, requests get a 503 reply while process.memory().free (in memory blocks) is below this
+ */
+
+/**
+ * @typedef {Object} LoggerOptions Options for server.logger()
+ * @property {string} [format='clf'] 'clf' for Common Log Format (plus the handler time), or 'json' for JSON lines
+ * @property {Array<string|RegExp>} [include] Only log paths starting with one of these prefixes (or matching one of these RegExps)
+ * @property {Array<string|RegExp>} [exclude] Don't log paths starting with one of these prefixes (or matching one of these RegExps)
+ * @property {number} [sample] The fraction of requests to log, from 0 to 1. Defaults to logging every request
+ * @property {string} [name='access'] The file name shown by tracer.js in each log line
+ * @property {Serial} [serial] A Serial object passed to tracer.js, to inject the log lines into (e.g. for streaming them to a file)
+ * @property {function(string): void} [log] Called with each log line, instead of tracer.js
+ * @property {boolean} [trustProxy=false] Whether to log the last address in the X-Forwarded-For header as the client's address
+ */
+
+/**
+ * @typedef {Object} SessionOptions Options for server.session()
+ * @property {string} secret The secret used to sign session ids
+ * @property {SessionStore} [store] Where sessions are kept. Defaults to a new session.MemoryStore()
+ * @property {string} [name='sid'] The cookie name
+ * @property {number} [maxAge=86400] How long (in seconds) a session lasts after it was last changed
+ * @property {Object} [cookie] Extra cookie attributes, see ServerReply.cookie()
+ */
+
+/**
+ * @typedef {Object} SessionStore Keeps session data. Each method may return a Promise.
+ * @property {function(string): (Object|undefined)} get Returns the data of an unexpired session
+ * @property {function(string, Object, number): void} set Saves the data of a session, which expires after ttl ms
+ * @property {function(string): void} destroy Deletes a session
+ */
+
+/**
+ * @typedef {Object} ValidationSchema The schema for server.validate(). Each part maps field names to a ValidationRule, or just a type name (e.g. 'number')
+ * @property {Object<string, (ValidationRule|string)>} [params] Rules for ctx.params
+ * @property {Object<string, (ValidationRule|string)>} [query] Rules for ctx.query
+ * @property {Object<string, (ValidationRule|string)>} [body] Rules for the parsed body (ctx.json or ctx.form)
+ */
+
+/**
+ * @typedef {Object} ValidationRule
+ * @property {string} [type] 'string', 'number', 'integer', 'boolean', 'object' or 'array'. Strings from params, query and forms are coerced to numbers/booleans
+ * @property {boolean} [required=false] Whether the field must be present (and not an empty string)
+ * @property {number} [min] The minimum value for numbers, or the minimum length for strings and arrays
+ * @property {number} [max] The maximum value for numbers, or the maximum length for strings and arrays
+ * @property {Array} [enum] The allowed values
+ * @property {RegExp} [match] A RegExp the value must match
+ */
+
+/**
+ * @typedef {Object} InjectRequest The request for server.inject()
+ * @property {string} [method='GET'] The HTTP method
+ * @property {string} [url='/'] The URL, including any query-string
+ * @property {Object} [headers] The request headers. Content-Length is added automatically when there is a body
+ * @property {(string|Object)} [body] The request body. Objects are JSON.stringify-ed (with Content-Type: application/json)
+ */
+
+/**
+ * @typedef {Object} InjectResponse The reply resolved by server.inject()
+ * @property {number} status The status code
+ * @property {Object} headers The response headers. Set-Cookie is an array of the cookies that were set
+ * @property {string} body The response body (chunked responses are decoded)
+ */
+
+/**
+ * @typedef {Object} ResourceOptions Options for server.resource()
+ * @property {(string|{load: function(): (Array|Promise<Array>), save: function(Array): (void|Promise)})} [store='Storage'] 'Storage' (one JSON file), 'StorageFile' (one JSON record per line), or a custom store that loads and saves the whole collection
+ * @property {string} [file] The Storage file name. Defaults to the route's segments joined with '_', plus '.json' (e.g. 'schedules.json')
+ * @property {string} [idField='id'] The field holding each record's id
+ * @property {function(Object, Array): (string|number)} [generateId] Returns an id for a new record without one. Defaults to the highest numeric id + 1
+ * @property {Object<string, (ValidationRule|string)>} [schema] Rules that created and updated records must match (see server.validate)
+ * @property {number} [pageSize=20] The number of records listed when there is no ?limit=
+ * @property {number} [maxPageSize=100] The maximum ?limit=
+ * @property {boolean} [cache=true] Whether to keep the collection in RAM after it is first loaded
+ * @property {{before: function(string, Object, RequestContext, Object): *, after: function(string, Object, RequestContext, Object): void}} [hooks] Called with (action, record, ctx, previous) before and after each 'create', 'update' or 'delete' is saved. `before` may change the record, or return a ServerReply (or false, for a 403) to abort. Any other value is ignored
+ */
+
+/**
+ * @typedef {Object} RpcOptions Options for server.rpc()
+ * @property {Object<string, (function((Array|Object), RequestContext): *|{handler: function((Array|Object), RequestContext): *, params: Object<string, (ValidationRule|string)>})>} methods The methods, called with (params, ctx). They may return a Promise. A method may also be {handler, params}, where params are rules that named params must match (see server.validate), otherwise the reply is an 'Invalid params' error
+ * @property {boolean} [listMethods=false] Whether the 'rpc.listMethods' method returns the names of the methods
+ * @property {boolean} [exposeErrors=false] Whether the messages of errors thrown by methods (without a numeric `code`) are sent in 'Internal error' replies
+ */
+
+/**
+ * @typedef {Object} CorsOptions Options for server.cors()
+ * @property {(string|Array<string>|RegExp|function(string): boolean)} [origins='*'] The allowed origins
+ * @property {Array<string>} [methods=['GET','HEAD','PUT','PATCH','POST','DELETE']] The methods allowed in preflight requests
+ * @property {Array<string>} [headers] The request headers allowed in preflight requests. Defaults to the headers the browser asks for
+ * @property {Array<string>} [exposedHeaders] The response headers the browser may read
+ * @property {boolean} [credentials=false] Whether to allow cookies/credentials
+ * @property {number} [maxAge] How long (in seconds) the browser may cache the preflight response
+ */
+
+/**
+ * @typedef {Object} StaticOptions Options for server.static()
+ * @property {string} [root=''] Prepended to the requested path to get the file name, e.g. 'www/' for Storage or '/www' for fs
+ * @property {string} [storage='Storage'] Where files are read from: 'Storage' or 'fs' (SD cards)
+ * @property {string} [index='index.html'] The file served for paths ending in '/'
+ * @property {boolean} [gzip=true] Whether to serve pre-gzipped '.gz' variants to clients that accept gzip
+ * @property {number} [chunkSize=512] The number of bytes sent at a time, so that large files don't have to be loaded into RAM
+ * @property {number} [maxAge] If set, a 'Cache-Control: max-age=<maxAge>' header is sent (in seconds)
  */
 
 
@@ -169,57 +475,231 @@ function createServerModule() {
     warn = console.warn;
     error = console.error;
   }
+  //Case-insensitive header lookup, since clients don't agree on header capitalization
+  function getHeader(headers, name) {
+    if (!headers) return;
+    name = name.toLowerCase();
+    for (const key in headers) {
+      if (key.toLowerCase() === name) return headers[key];
+    }
+  }
+
+  //Parses a Cookie header into a {name: value} object
+  function parseCookies(header) {
+    const cookies = {};
+    if (header) header.split(';').forEach(function (pair) {
+      const i = pair.indexOf('=');
+      if (i < 0) return;
+      const value = pair.slice(i + 1).trim();
+      try {
+        cookies[pair.slice(0, i).trim()] = decodeURIComponent(value);
+      } catch (e) {
+        cookies[pair.slice(0, i).trim()] = value;
+      }
+    });
+    return cookies;
+  }
+
+  /*
+   * A minimal event emitter. On Espruino every object has on()/emit(), but RequestContext and inject()'s mock req/res
+   * use these instead, so that they also work elsewhere (e.g. in Node).
+   */
+  const emitterMethods = {
+    on: function (event, listener) {
+      (this.__listeners[event] || (this.__listeners[event] = [])).push(listener);
+      return this;
+    },
+    removeListener: function (event, listener) {
+      const listeners = this.__listeners[event] || [];
+      const i = listeners.indexOf(listener);
+      if (i >= 0) listeners.splice(i, 1);
+      return this;
+    },
+    removeAllListeners: function (event) {
+      if (event === undefined) this.__listeners = {};
+      else delete this.__listeners[event];
+      return this;
+    },
+    emit: function (event) {
+      const args = Array.prototype.slice.call(arguments, 1);
+      const listeners = (this.__listeners[event] || []).slice();
+      listeners.forEach(listener => listener.apply(this, args));
+      return listeners.length > 0;
+    }
+  };
+
+  //Gives obj its own emitterMethods
+  function withEvents(obj) {
+    obj.__listeners = {};
+    return Object.assign(obj, emitterMethods);
+  }
+
   class RequestContext {
-    constructor(req, res) {
+    constructor(req, res, options) {
       this.complete = false;
       this.req = req;
       Object.assign(this, req);
+      this.__listeners = {}; //not shared with req, even if it was copied from it
       this.res = res;
+      this.options = options || {};
+      this.startTime = Date.now();
+      this.bytesSent = 0;
       this._url = url.parse(req.url, true);
       this.path = this._url.pathname || '/';
       this.query = this._url.query;
-      if (['POST', 'PUT'].includes(req.method)) {
-        //Create a Promise with a timeout for receiving the request body
-        this.body = new Promise((r, j) => {
-          const timeout = setTimeout(function () {
-            //reject on timeout
-            j('No Data for request (timeout)');
-            req.removeAllListeners('data');
-          }, process.env.REQ_BODY_TIMEOUT || 5e3);
-          req.on('data', function (data) {
-            // Clear timeout on data receipt,
-            // and resolve with the string body
-            clearTimeout(timeout);
-            r(data);
-          });
-        }).catch(e => {
-          //On timeout or error, log the error and resolve to false
-          error(e);
-          return false;
-        });
-        this.data = this.body;
+      this.cookies = parseCookies(this.header('Cookie'));
+    }
+
+    header(name) {
+      return getHeader(this.req.headers, name);
+    }
+
+    //Writes to the response, keeping count of the bytes sent (e.g. for server.logger())
+    __write(data) {
+      this.bytesSent += data.length;
+      return this.res.write(data);
+    }
+
+    //Marks the reply as finished, and notifies any listeners (e.g. server.concurrency())
+    __finish() {
+      if (this.finished) return;
+      this.finished = true;
+      this.emit('finish');
+    }
+
+    //body is only read once it is first accessed, so that ctx.stream() can be used instead
+    get body() {
+      if (this._body === undefined && ['POST', 'PUT', 'PATCH', 'DELETE'].includes(this.method)) {
+        let data = '';
+        this._body = this.__readBody(chunk => { data += chunk; }).then(
+          () => data || false,
+          e => {
+            //On timeout or error, log the error and resolve to false
+            error(e);
+            return false;
+          }
+        );
       }
+      return this._body;
+    }
+    get data() {
+      return this.body;
+    }
+
+    /**
+     * Streams the request body to onChunk as each chunk arrives, instead of collecting it in RAM.
+     * Resolves to the total number of bytes received, or rejects on timeout or when MAX_BODY_SIZE is exceeded.
+     */
+    stream(onChunk) {
+      if (this._body !== undefined) return Promise.reject('Request body has already been read');
+      this._body = this.__readBody(onChunk);
+      return this._body;
+    }
+
+    //Reads chunks until Content-Length is reached or the request closes, enforcing MAX_BODY_SIZE
+    __readBody(onChunk) {
+      const ctx = this;
+      const req = this.req;
+      const maxSize = this.options.MAX_BODY_SIZE;
+      const idleTime = this.options.BODY_TIMEOUT;
+      const expected = parseInt(this.header('Content-Length'));
+
+      return new Promise((r, j) => {
+        let size = 0;
+        let timeout;
+        let finished = false;
+
+        function finish(e) {
+          if (finished) return;
+          finished = true;
+          clearTimeout(timeout);
+          req.removeListener('data', handleData);
+          req.removeListener('close', handleClose);
+          if (e) j(e); else r(size);
+        }
+
+        function tooLarge() {
+          //reply right away, so later replies for this request become no-ops
+          ctx.isComplete = true;
+          new ServerReply(ctx).status(413).send('Payload Too Large').end();
+          finish('Request body exceeds MAX_BODY_SIZE (' + maxSize + ')');
+        }
+
+        function handleData(chunk) {
+          if (finished) return;
+          size += chunk.length;
+          if (maxSize && size > maxSize) return tooLarge();
+          clearTimeout(timeout);
+          timeout = setTimeout(function () {
+            //reject if the client stops sending before the body is complete
+            finish('No Data for request (timeout)');
+          }, idleTime);
+          onChunk(chunk);
+          if (size >= expected) finish();
+        }
+
+        function handleClose() {
+          finish();
+        }
+
+        if (expected === 0) return finish();
+        if (maxSize && expected > maxSize) return tooLarge();
+
+        //data may already be buffered on the request before a 'data' listener exists
+        const buffered = req.available && req.available() ? req.read() : '';
+        req.on('data', handleData);
+        req.on('close', handleClose);
+        if (buffered) {
+          handleData(buffered);
+        } else {
+          timeout = setTimeout(function () {
+            finish('No Data for request (timeout)');
+          }, idleTime);
+        }
+      });
     }
   }
 
+  Object.assign(RequestContext.prototype, emitterMethods);
+
   class ServerRouter { }
 
   ServerRouter.__splitPath = function (path) {
     return path.split('/').filter(x => x);
   };
 
+  //URL-decodes a path segment, leaving it as-is if it is not valid percent-encoding
+  ServerRouter.__decode = function (segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      return segment;
+    }
+  };
+
   //Checks if the path matches the route, and extracts params if applicable
   ServerRouter.__routeComp = function (routeSplit, pathSplit) {
-    //quick check for mismatched number of segments
-    if (routeSplit.length !== pathSplit.length) return false;
+    //quick check for too many path segments (unless the route ends with a wildcard)
+    if (pathSplit.length > routeSplit.length && routeSplit[routeSplit.length - 1] !== '*') return false;
 
     const params = {};
     //iterate through each segment
     for (let i = 0; i < routeSplit.length; i++) {
-      if (routeSplit[i][0] === ':') {
+      const segment = routeSplit[i];
+      if (segment === '*' && i === routeSplit.length - 1) {
+        //trailing wildcard matches the rest of the path (including nothing)
+        params['*'] = pathSplit.slice(i).map(ServerRouter.__decode).join('/');
+        return params;
+      } else if (segment[0] === ':') {
         //if the segment is a parameter, extract the param value
-        params[routeSplit[i].slice(1)] = pathSplit[i];
-      } else if (routeSplit[i] !== pathSplit[i]) {
+        const optional = segment[segment.length - 1] === '?';
+        const name = segment.slice(1, optional ? -1 : undefined);
+        if (i < pathSplit.length) {
+          params[name] = ServerRouter.__decode(pathSplit[i]);
+        } else if (!optional) {
+          return false;
+        }
+      } else if (segment !== pathSplit[i]) {
         //non-param segment mismatch
         return false;
       }
@@ -227,15 +707,32 @@ function createServerModule() {
     return params;
   };
 
-  //Creates a route handler for the specified method and route
+  //A route's handler that resolves to undefined has handled the request (e.g. ctx.body.then(b => { store(b); })), so it gets an empty 204 instead of falling through to a 404
+  ServerRouter.__handled = function (handler) {
+    return ctx => {
+      const response = handler(ctx);
+      if (!(response instanceof Promise)) return response;
+      return response.then(result => (result === undefined && !ctx.isComplete) ? new ServerReply(ctx).status(204) : result);
+    };
+  };
+
+  //Creates a route handler for the specified method and route. A method of '*' matches any method
   ServerRouter.__createRoute = function (method, route, func) {
     if (!method || !route || !func) throw new Error(`ServerRouter.__createRoute(): Invalid Input. method: ${method}=${!!method}| route: ${route} ${!!route}| func: ${func} ${!!func}.  `);
 
     const routeSplit = ServerRouter.__splitPath(route);
+    //an array of MiddlewareAndRoutes runs in sequence (e.g. [auth, handler]) and continues if none of them reply
+    if (Array.isArray(func)) {
+      const last = func[func.length - 1];
+      const funcs = (typeof last === 'function' && !last.route) ? func.slice(0, -1).concat(ServerRouter.__handled(last)) : func;
+      func = ctx => execArgs(funcs, ctx).then(() => { });
+    } else {
+      func = ServerRouter.__handled(func);
+    }
     
     //This is the actual route handler function
     const routeHandler = function (ctx) {
-      if (ctx.method === method) {
+      if (method === '*' || ctx.method === method) {
         //ServerRouter.__routeComp returns false if no match, or the params object if matches
         const params = ServerRouter.__routeComp(routeSplit, ServerRouter.__splitPath(ctx.path));
         if (params !== false) {
@@ -245,6 +742,7 @@ function createServerModule() {
       }
     };
     routeHandler.route = route;
+    routeHandler.method = method;
     return routeHandler;
   };
 
@@ -260,18 +758,134 @@ function createServerModule() {
   ServerRouter.del = function (route, func) {
     return ServerRouter.__createRoute('DELETE', route, func);
   };
+  ServerRouter.patch = function (route, func) {
+    return ServerRouter.__createRoute('PATCH', route, func);
+  };
+  ServerRouter.head = function (route, func) {
+    return ServerRouter.__createRoute('HEAD', route, func);
+  };
+  ServerRouter.options = function (route, func) {
+    return ServerRouter.__createRoute('OPTIONS', route, func);
+  };
+  ServerRouter.all = function (route, func) {
+    return ServerRouter.__createRoute('*', route, func);
+  };
+
+  //Checks if the path starts with the prefix, and returns the rest of the path if it does (or false if not)
+  ServerRouter.__prefixComp = function (prefixSplit, path) {
+    const pathSplit = ServerRouter.__splitPath(path);
+    for (let i = 0; i < prefixSplit.length; i++) {
+      if (prefixSplit[i] !== pathSplit[i]) return false;
+    }
+    return '/' + pathSplit.slice(prefixSplit.length).join('/');
+  };
+
+  //Mounts MiddlewareAndRoutes under a path prefix. The prefix is stripped from ctx.path while they run
+  ServerRouter.use = function (prefix) {
+    const prefixSplit = ServerRouter.__splitPath(prefix);
+    const routes = Array.prototype.slice.call(arguments, 1);
+
+    const mounted = function (ctx) {
+      const rest = ServerRouter.__prefixComp(prefixSplit, ctx.path);
+      if (rest === false) return;
+
+      const path = ctx.path;
+      const baseUrl = ctx.baseUrl || '';
+      ctx.path = rest;
+      ctx.baseUrl = baseUrl + '/' + prefixSplit.join('/');
+
+      //restore the full path afterwards, so that any following Middleware/RouteHandlers see the original
+      const restore = function () {
+        ctx.path = path;
+        ctx.baseUrl = baseUrl;
+      };
+      return execArgs(routes, ctx).then(restore, function (e) {
+        restore();
+        throw e;
+      });
+    };
+    mounted.route = prefix;
+    mounted.prefixSplit = prefixSplit;
+    mounted.routes = routes;
+    return mounted;
+  };
+
+  /*
+   * Creates a RouteHandler that upgrades GET requests for the route to a WebSocket, and passes the
+   * ServerWebSocket to func. The returned RouteHandler has a `clients` array and a `broadcast()` helper.
+   */
+  ServerRouter.ws = function (route, func, opts) {
+    opts = opts || {};
+    const clients = [];
+
+    const wsRoute = ServerRouter.__createRoute('GET', route, function (ctx) {
+      if ((ctx.header('Upgrade') || '').toLowerCase() !== 'websocket') {
+        return new ServerReply(ctx).status(426).headers({ Upgrade: 'websocket' }).send('Upgrade Required');
+      }
+      const key = ctx.header('Sec-WebSocket-Key');
+      if (!key) return new ServerReply(ctx).status(400).send('Missing Sec-WebSocket-Key');
+
+      ctx.responseStatus = 101;
+      ctx.res.writeHead(101, {
+        'Upgrade': 'websocket',
+        'Connection': 'Upgrade',
+        'Sec-WebSocket-Accept': btoa(E.toString(require('crypto').SHA1(key + WS_GUID)))
+      });
+      //the HTTP part of the request is done, so mark it as replied to
+      ctx.isComplete = true;
+      ctx.headersSent = true;
+      ctx.__finish();
+
+      func(new ServerWebSocket(ctx, clients, opts));
+    });
+    wsRoute.clients = clients;
+    wsRoute.broadcast = function (data, binary) {
+      clients.forEach(function (client) {
+        client.send(data, binary);
+      });
+    };
+    return wsRoute;
+  };
+
+  //Escapes the HTML special characters, for {{key}} values in render() templates
+  function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  //Returns the string as UTF-8 bytes (one char per byte), so that its length is its length in bytes
+  function toBytes(str) {
+    //on Espruino builds with unicode support, only strings flagged as UTF-8 need encoding. Otherwise, strings are already bytes unless they can't be
+    const isUTF8 = typeof E !== 'undefined' && E.isUTF8 ? E.isUTF8(str) : /[^\x00-\xff]/.test(str);
+    if (!isUTF8) return str;
+
+    let bytes = '';
+    for (let i = 0; i < str.length; i++) {
+      let c = str.charCodeAt(i);
+      if (c >= 0xD800 && c < 0xDC00 && i + 1 < str.length) {
+        //surrogate pair
+        c = 0x10000 + ((c - 0xD800) << 10) + (str.charCodeAt(++i) - 0xDC00);
+      }
+      if (c < 0x80) bytes += String.fromCharCode(c);
+      else if (c < 0x800) bytes += String.fromCharCode(0xC0 | c >> 6, 0x80 | c & 63);
+      else if (c < 0x10000) bytes += String.fromCharCode(0xE0 | c >> 12, 0x80 | c >> 6 & 63, 0x80 | c & 63);
+      else bytes += String.fromCharCode(0xF0 | c >> 18, 0x80 | c >> 12 & 63, 0x80 | c >> 6 & 63, 0x80 | c & 63);
+    }
+    return bytes;
+  }
 
   /**
    * This is used to construct HTTP responses to send to the client.
    */
   class ServerReply {
     constructor(ctx) {
+      this.ctx = ctx;
       this.res = ctx.res;
       this._status = ctx.statusCode || 200;
       this._headers = ctx.responseHeaders || {};
     }
+    //merges pairs into the headers (which start out as ctx.responseHeaders), overriding any with the same name
     headers(pairs) {
-      this._headers = pairs;
+      this._headers = Object.assign({}, this._headers, pairs);
       return this;
     }
     status(code) {
@@ -279,98 +893,1696 @@ function createServerModule() {
       return this;
     }
     send(str) {
-      this.res.writeHead(this._status, this._headers);
-      if (str) this.res.write(str);
+      //a reply may already have been sent for this request (e.g. 413 from the body reader)
+      if (this.ctx.finished) return this;
+      if (!this.ctx.headersSent) {
+        //last chance for Middleware (e.g. server.session()) to add headers or cookies
+        this.ctx.emit('headers', this);
+        const cookies = this.ctx.responseCookies;
+        //Espruino writes header values as-is, so unless the transport takes arrays, several cookies are sent as repeated Set-Cookie lines
+        if (cookies) this._headers = Object.assign({}, this._headers, { 'Set-Cookie': this.ctx.options.HEADER_ARRAYS ? cookies : cookies.join('\r\nSet-Cookie: ') });
+        this.res.writeHead(this._status, this._headers);
+        this.ctx.headersSent = true;
+        this.ctx.responseStatus = this._status;
+      }
+      if (str !== undefined && str !== '') this.ctx.__write(String(str));
       return this;
     }
     json(data) {
       if (data) this.send(JSON.stringify(data));
       return this;
     }
+    //sets the Content-Type, either as a file extension (e.g. 'html') or a full MIME type
+    type(contentType) {
+      return this.headers({ 'Content-Type': MIME_TYPES[contentType] || contentType });
+    }
+    redirect(location, code) {
+      return this.status(code || 302).headers({ 'Location': location });
+    }
+    //cookies are kept on the ctx, so that cookies set by earlier Middleware are included in the reply too
+    cookie(name, value, opts) {
+      opts = opts || {};
+      //the value is encoded, but a CR/LF anywhere else would let it add its own header lines
+      [name, opts.maxAge, opts.path, opts.domain, opts.sameSite].forEach(part => {
+        if (/[\r\n]/.test(part)) throw new Error(`ServerReply.cookie(): CR/LF is not allowed in cookie '${name}'`);
+      });
+      let cookie = name + '=' + encodeURIComponent(value);
+      if (opts.maxAge !== undefined) cookie += '; Max-Age=' + opts.maxAge;
+      if (opts.expires) cookie += '; Expires=' + opts.expires.toUTCString();
+      cookie += '; Path=' + (opts.path || '/');
+      if (opts.domain) cookie += '; Domain=' + opts.domain;
+      if (opts.sameSite) cookie += '; SameSite=' + opts.sameSite;
+      if (opts.secure) cookie += '; Secure';
+      if (opts.httpOnly !== false) cookie += '; HttpOnly';
+      this.ctx.responseCookies = (this.ctx.responseCookies || []).concat(cookie);
+      return this;
+    }
+    clearCookie(name, opts) {
+      return this.cookie(name, '', Object.assign({}, opts, { maxAge: 0 }));
+    }
+    /*
+     * Sends the chunks returned by source (a function, or an iterator) with Transfer-Encoding: chunked, until it returns undefined.
+     * Chunks may also be Promises. Resolves to this ServerReply once everything has been sent.
+     */
+    stream(source) {
+      const readChunk = typeof source === 'function' ? source : function () {
+        const item = source.next();
+        return item.done ? undefined : item.value;
+      };
+      this.headers({ 'Transfer-Encoding': 'chunked' });
+      delete this._headers['Content-Length'];
+      this.send();
+
+      const reply = this;
+      return writeChunks(this.ctx, readChunk, function (chunk) {
+        //the chunk size is in bytes, not characters
+        chunk = toBytes(String(chunk));
+        return chunk.length.toString(16) + '\r\n' + chunk + '\r\n';
+      }).then(function () {
+        //unless the client went away
+        if (!reply.ctx.finished) reply.ctx.__write('0\r\n\r\n');
+        return reply;
+      });
+    }
+    /*
+     * Renders a template from Storage, replacing {{key}} with the HTML-escaped value of data.key ({{&key}} is not escaped).
+     * Keys may be dotted paths, e.g. {{sensor.temp}}. The output is streamed, so the page is never held in RAM as a single string.
+     */
+    render(template, data) {
+      const tpl = require('Storage').read(template);
+      if (tpl === undefined) return Promise.reject(new Error('Template not found: ' + template));
+      if (!this._headers['Content-Type']) this.type('html');
+
+      let pos = 0;
+      return this.stream(function () {
+        if (pos >= tpl.length) return;
+        const tag = tpl.indexOf('{{', pos);
+        if (tag === pos) {
+          const close = tpl.indexOf('}}', pos);
+          if (close >= 0) {
+            let key = tpl.slice(pos + 2, close).trim();
+            pos = close + 2;
+            const raw = key[0] === '&';
+            if (raw) key = key.slice(1).trim();
+            const value = key.split('.').reduce((obj, k) => (obj === undefined || obj === null) ? undefined : obj[k], data);
+            if (value === undefined || value === null) return '';
+            return raw ? String(value) : escapeHtml(String(value));
+          }
+        }
+        //send the literal text up to the next tag, at most 512 bytes at a time
+        const end = Math.min(tag > pos ? tag : tpl.length, pos + 512);
+        const chunk = tpl.substring(pos, end);
+        pos += chunk.length;
+        return chunk;
+      });
+    }
+    //Starts a Server-Sent Events stream, and keeps the response open until the stream is closed
+    sse(opts) {
+      this._headers = Object.assign({}, this._headers, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      this.send();
+      this.ctx.isComplete = true;
+      this.ctx.streaming = true;
+      return new ServerSentEvents(this.ctx, opts || {});
+    }
     end() {
-      return this.res.end();
+      //streamed responses (e.g. sse()) are ended by their stream instead
+      if (this.ctx.finished || this.ctx.streaming) return;
+      if (!this.ctx.headersSent) this.send();
+      const ended = this.res.end();
+      this.ctx.__finish();
+      return ended;
     }
   }
 
 
-  /*
-   * Note: promiseReduce executes functions sequentially.
-   */
-  function execArgs(args, ctx) {
-    return promiseReduce(args.map(arg => () => {
-      if (ctx.isComplete) return; //skip if response is already sent
-
-      switch (true) {
-        case Array.isArray(arg):
-          //recursively handle nested array of MiddlewareAndRoutes
-          return execArgs(arg, ctx);
+  const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
 
-        case typeof arg === 'function': {
-          let response = arg(ctx);
+  //Encodes a single (unmasked, unfragmented) WebSocket frame
+  function encodeWsFrame(opcode, data) {
+    const len = data.length;
+    let header = String.fromCharCode(0x80 | opcode);
+    if (len < 126) {
+      header += String.fromCharCode(len);
+    } else if (len < 65536) {
+      header += String.fromCharCode(126, len >> 8, len & 255);
+    } else {
+      header += String.fromCharCode(127, 0, 0, 0, 0, (len >> 24) & 255, (len >> 16) & 255, (len >> 8) & 255, len & 255);
+    }
+    return header + data;
+  }
 
-          // Middleware MUST return undefined to continue to next Middleware/RouteHandler
-          if (response !== undefined) {
-            ctx.isComplete = true;
+  /**
+   * A WebSocket connection, created by ServerRouter.ws() once the Upgrade handshake is done.
+   * Emits 'message' (data), 'pong' and 'close' (code).
+   */
+  class ServerWebSocket {
+    constructor(ctx, clients, opts) {
+      this.ctx = ctx;
+      this.res = ctx.res;
+      this.clients = clients;
+      this.maxPayload = opts.maxPayload || ctx.options.MAX_BODY_SIZE;
+      this.closed = false;
+      this._buf = '';
+      this._fragments = '';
+      this._alive = true;
 
-            switch (true) {
-              case response instanceof ServerReply:
-                //ServerReply was returned explicitly
-                return response.end();
-              case response instanceof Promise:
-                //handle async response
-                return response.then(
-                  result => {
-                    if (typeof result === 'object') {
-                      new ServerReply(ctx).json(result).end();
-                    } else {
-                      new ServerReply(ctx).send(result).end();
-                    }
-                  }
-                ).catch(e => new ServerReply(ctx).json({ success: false, error: e }).end());
-              case typeof response === 'object': 
-                // treat object as JSON-stringifiable
-                return new ServerReply(ctx).json(response).end();
-              default:
-                //treat as stringifiable primitive
-                return new ServerReply(ctx).send(response).end();
-            }
-          }
-        } break;
+      const ws = this;
+      ctx.req.on('data', function (data) {
+        ws.__parse(data);
+      });
+      ctx.req.on('close', function () {
+        ws.__cleanup(1006);
+      });
 
-        default:
-          return;
+      //ping/pong keep-alive: close connections that didn't answer the previous ping
+      if (opts.pingInterval !== 0) {
+        this._pingTimer = setInterval(function () {
+          if (!ws._alive) return ws.close(1001, 'ping timeout');
+          ws._alive = false;
+          ws.ping();
+        }, opts.pingInterval || 30e3);
       }
-    }));
-  }
+      clients.push(this);
+    }
 
-  function server() {
-    if (arguments.length === 0) {
-      error('server(): missing at least one argument');
-      throw new Error('server: server(): missing at least one argument');
+    send(data, binary) {
+      if (this.closed) return this;
+      if (typeof data !== 'string') data = (data instanceof ArrayBuffer || (data && data.buffer instanceof ArrayBuffer)) ? E.toString(data) : JSON.stringify(data);
+      this.res.write(encodeWsFrame(binary ? 2 : 1, data));
+      return this;
     }
 
-    const options = {
-      PORT: arguments[0].PORT || (process.env.PORT) || 80
-    };
+    //Sends data to every other client connected to the same route
+    broadcast(data, binary) {
+      const ws = this;
+      this.clients.forEach(function (client) {
+        if (client !== ws) client.send(data, binary);
+      });
+      return this;
+    }
+
+    ping(data) {
+      if (!this.closed) this.res.write(encodeWsFrame(9, data || ''));
+      return this;
+    }
 
-    //TO-DO: insert handling for using different espruino modules (http, tls, net, etc)
+    close(code, reason) {
+      if (this.closed) return;
+      code = code || 1000;
+      this.res.write(encodeWsFrame(8, String.fromCharCode(code >> 8, code & 255) + (reason || '')));
+      this.res.end();
+      this.__cleanup(code);
+    }
 
-    const _server = require('http').createServer(function handleReq(req, res) {
-      const ctx = new RequestContext(req, res);
-      execArgs(arguments, ctx);
-    }).listen(options.PORT);
+    __cleanup(code) {
+      if (this.closed) return;
+      this.closed = true;
+      clearInterval(this._pingTimer);
+      const i = this.clients.indexOf(this);
+      if (i >= 0) this.clients.splice(i, 1);
+      this.emit('close', code);
+    }
 
-    _server.on('error', error);
+    //Parses as many complete frames as have arrived (client frames are always masked)
+    __parse(data) {
+      this._buf += data;
+      while (this._buf.length >= 2 && !this.closed) {
+        const buf = this._buf;
+        const fin = buf.charCodeAt(0) & 0x80;
+        const opcode = buf.charCodeAt(0) & 0x0F;
+        const masked = buf.charCodeAt(1) & 0x80;
+        let len = buf.charCodeAt(1) & 0x7F;
+        let offset = 2;
+        if (len === 126) {
+          if (buf.length < 4) return;
+          len = (buf.charCodeAt(2) << 8) | buf.charCodeAt(3);
+          offset = 4;
+        } else if (len === 127) {
+          if (buf.length < 10) return;
+          //payloads over 4GB aren't realistic here, so the upper 4 bytes are ignored
+          len = ((buf.charCodeAt(6) << 24) >>> 0) + ((buf.charCodeAt(7) << 16) | (buf.charCodeAt(8) << 8) | buf.charCodeAt(9));
+          offset = 10;
+        }
+        if (len + this._fragments.length > this.maxPayload) return this.close(1009, 'message too big');
 
-    log(`Server now running at ${process.env.local_ip || require('Wifi').getIP().ip}:${options.PORT}`);
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buf.length < offset + len) return; //wait for the rest of the frame
 
-    return _server;
-  }
+        let payload = buf.substr(offset, len);
+        this._buf = buf.slice(offset + len);
+        if (masked) {
+          const bytes = E.toUint8Array(payload);
+          for (let i = 0; i < bytes.length; i++) bytes[i] ^= buf.charCodeAt(maskOffset + (i & 3));
+          payload = E.toString(bytes);
+        }
+        this.__handleFrame(fin, opcode, payload);
+      }
+    }
 
-  server.reply = ServerReply;
-  server.ServerReply = ServerReply;
+    __handleFrame(fin, opcode, payload) {
+      switch (opcode) {
+        case 0: //continuation
+        case 1: //text
+        case 2: //binary
+          this._fragments += payload;
+          if (fin) {
+            const message = this._fragments;
+            this._fragments = '';
+            this.emit('message', message);
+          }
+          break;
+        case 8: //close
+          this.close(payload.length >= 2 ? (payload.charCodeAt(0) << 8) | payload.charCodeAt(1) : 1000);
+          break;
+        case 9: //ping
+          this.res.write(encodeWsFrame(10, payload));
+          break;
+        case 10: //pong
+          this._alive = true;
+          this.emit('pong', payload);
+          break;
+      }
+    }
+  }
 
-  server.router = ServerRouter;
+  /**
+   * A Server-Sent Events stream, created by ServerReply.sse(). The response stays open until close() is called or the client disconnects.
+   * Emits 'close'.
+   */
+  class ServerSentEvents {
+    constructor(ctx, opts) {
+      this.ctx = ctx;
+      this.res = ctx.res;
+      this.closed = false;
+      this.lastEventId = ctx.header('Last-Event-ID');
+
+      const channel = this;
+      ctx.req.on('close', function () {
+        channel.__cleanup();
+      });
+      //comments are ignored by EventSource, but keep proxies and the connection from timing out
+      if (opts.heartbeat !== 0) {
+        this._heartbeatTimer = setInterval(function () {
+          channel.comment('heartbeat');
+        }, opts.heartbeat || 15e3);
+      }
+      if (opts.retry) ctx.__write('retry: ' + opts.retry + '\n\n');
+    }
+
+    send(data, opts) {
+      if (this.closed) return this;
+      opts = opts || {};
+      let msg = '';
+      if (opts.event) msg += 'event: ' + opts.event + '\n';
+      if (opts.id !== undefined) msg += 'id: ' + opts.id + '\n';
+      if (typeof data !== 'string') data = JSON.stringify(data);
+      msg += 'data: ' + data.split('\n').join('\ndata: ') + '\n\n';
+      this.ctx.__write(msg);
+      return this;
+    }
+
+    comment(text) {
+      if (!this.closed) this.ctx.__write(': ' + (text || '') + '\n\n');
+      return this;
+    }
+
+    close() {
+      if (this.closed) return;
+      this.res.end();
+      this.__cleanup();
+    }
+
+    __cleanup() {
+      if (this.closed) return;
+      this.closed = true;
+      clearInterval(this._heartbeatTimer);
+      this.ctx.__finish();
+      this.emit('close');
+    }
+  }
+
+  /**
+   * Keeps track of open ServerSentEvents streams, so that events can be published to all of them,
+   * e.g. from a TaskManager task or a sensor callback.
+   */
+  class SSEHub {
+    constructor() {
+      this.channels = [];
+    }
+
+    //Adds a stream to the hub until it closes. Returns the stream, so a RouteHandler can return hub.add(reply.sse())
+    add(channel) {
+      const channels = this.channels;
+      channels.push(channel);
+      channel.on('close', function () {
+        const i = channels.indexOf(channel);
+        if (i >= 0) channels.splice(i, 1);
+      });
+      return channel;
+    }
+
+    send(data, opts) {
+      this.channels.forEach(function (channel) {
+        channel.send(data, opts);
+      });
+      return this;
+    }
+
+    close() {
+      this.channels.slice().forEach(function (channel) {
+        channel.close();
+      });
+    }
+  }
+
+  //Parses a urlencoded string (query-string or form body) into an object
+  function parseUrlEncoded(str) {
+    return str.split('&').reduce(function (obj, pair) {
+      if (!pair) return obj;
+      const i = pair.indexOf('=');
+      const key = decodeURIComponent((i < 0 ? pair : pair.slice(0, i)).replace(/\+/g, ' '));
+      obj[key] = i < 0 ? '' : decodeURIComponent(pair.slice(i + 1).replace(/\+/g, ' '));
+      return obj;
+    }, {});
+  }
+
+  //Parses a multipart/form-data body into fields and files
+  function parseMultipart(body, boundary) {
+    const result = { form: {}, files: {} };
+    const parts = body.split('--' + boundary);
+    if (parts.length < 3 || parts[parts.length - 1].trim() !== '--') throw new Error('missing multipart boundary');
+
+    //the first part is the preamble, and the last one is the closing '--'
+    for (let i = 1; i < parts.length - 1; i++) {
+      const part = parts[i];
+      const split = part.indexOf('\r\n\r\n');
+      if (split < 0) throw new Error('malformed multipart section');
+
+      const headers = {};
+      part.slice(2, split).split('\r\n').forEach(function (line) {
+        const c = line.indexOf(':');
+        if (c > 0) headers[line.slice(0, c).trim().toLowerCase()] = line.slice(c + 1).trim();
+      });
+      const disposition = headers['content-disposition'] || '';
+      const name = (disposition.match(/\bname="([^"]*)"/) || [])[1];
+      if (name === undefined) throw new Error('multipart section without a name');
+      const filename = (disposition.match(/filename="([^"]*)"/) || [])[1];
+      //strip the CRLF that precedes the next boundary
+      const data = part.slice(split + 4, -2);
+
+      if (filename !== undefined) {
+        result.files[name] = { filename: filename, type: headers['content-type'] || 'application/octet-stream', size: data.length, data: data };
+      } else {
+        result.form[name] = data;
+      }
+    }
+    return result;
+  }
+
+  /*
+   * Middleware that parses the request body according to its Content-Type:
+   * application/json -> ctx.json, application/x-www-form-urlencoded -> ctx.form,
+   * multipart/form-data -> ctx.form and ctx.files. Malformed bodies get a 400 reply.
+   */
+  function bodyParser(ctx) {
+    const type = ctx.header('Content-Type');
+    const body = type && ctx.body;
+    if (!body) return;
+
+    return body.then(function (str) {
+      if (str === false) return;
+      try {
+        switch (true) {
+          case type.indexOf('application/json') === 0:
+            ctx.json = JSON.parse(str);
+            break;
+          case type.indexOf('application/x-www-form-urlencoded') === 0:
+            ctx.form = parseUrlEncoded(str);
+            break;
+          case type.indexOf('multipart/form-data') === 0: {
+            const boundary = (type.match(/boundary="?([^";]+)"?/) || [])[1];
+            if (!boundary) throw new Error('missing multipart boundary');
+            const multipart = parseMultipart(str, boundary);
+            ctx.form = multipart.form;
+            ctx.files = multipart.files;
+          } break;
+        }
+      } catch (e) {
+        warn('bodyParser(): malformed', type, 'body:', e.message || e);
+        return new ServerReply(ctx).status(400).json({ success: false, error: 'Malformed request body: ' + (e.message || e) });
+      }
+    });
+  }
+
+  //Returns a random 16-character hex id, using the hardware random number generator where available
+  function randomId() {
+    let id = '';
+    for (let i = 0; i < 2; i++) {
+      const n = (E.hwRand ? E.hwRand() : Math.random() * 0x100000000) >>> 0;
+      id += (0x100000000 + n).toString(16).slice(1);
+    }
+    return id;
+  }
+
+  //A session store that keeps sessions in RAM, forgetting the least recently used ones past `max`
+  class MemorySessionStore {
+    constructor(opts) {
+      this.max = (opts && opts.max) || 16;
+      this.sessions = {};
+      this.order = [];
+    }
+    get(id) {
+      const entry = this.sessions[id];
+      if (!entry) return;
+      if (entry.e < Date.now()) return this.destroy(id);
+      //move to the end of the list, as the most recently used
+      this.order.splice(this.order.indexOf(id), 1);
+      this.order.push(id);
+      return JSON.parse(entry.d);
+    }
+    set(id, data, ttl) {
+      if (!this.sessions[id]) {
+        if (this.order.length >= this.max) delete this.sessions[this.order.shift()];
+        this.order.push(id);
+      }
+      this.sessions[id] = { d: JSON.stringify(data), e: Date.now() + ttl };
+    }
+    destroy(id) {
+      if (!this.sessions[id]) return;
+      delete this.sessions[id];
+      this.order.splice(this.order.indexOf(id), 1);
+    }
+  }
+
+  //A session store that keeps each session in a Storage file, so sessions survive a reboot
+  class StorageSessionStore {
+    constructor(opts) {
+      //Storage file names are limited to 28 characters, and ids are 16
+      this.prefix = (opts && opts.prefix) || 'sess_';
+    }
+    get(id) {
+      const entry = require('Storage').readJSON(this.prefix + id, true);
+      if (!entry) return;
+      if (entry.e < Date.now()) return this.destroy(id);
+      return entry.d;
+    }
+    set(id, data, ttl) {
+      require('Storage').writeJSON(this.prefix + id, { d: data, e: Date.now() + ttl });
+    }
+    destroy(id) {
+      require('Storage').erase(this.prefix + id);
+    }
+    //Erases every expired session file
+    prune() {
+      const storage = require('Storage');
+      const prefix = this.prefix;
+      storage.list().forEach(function (name) {
+        if (name.indexOf(prefix) !== 0) return;
+        const entry = storage.readJSON(name, true);
+        if (!entry || entry.e < Date.now()) storage.erase(name);
+      });
+    }
+  }
+
+  /*
+   * Creates a Middleware that loads ctx.session from the store before the routes run, and saves any changes
+   * once the reply has been sent. The session id is kept in a signed cookie, which is only issued once the session holds data.
+   */
+  function session(opts) {
+    if (!opts || !opts.secret) throw new Error('session(): a secret is required to sign session ids');
+    const store = opts.store || new MemorySessionStore();
+    const name = opts.name || 'sid';
+    const maxAge = opts.maxAge || 86400;
+    const cookieOpts = Object.assign({ maxAge: maxAge, sameSite: 'Lax' }, opts.cookie);
+    const sign = id => id + '.' + hmacSHA256(opts.secret, id).slice(0, 32);
+
+    return function sessionHandler(ctx) {
+      const cookie = ctx.cookies[name] || '';
+      const dot = cookie.indexOf('.');
+      const id = (dot > 0 && safeEqual(sign(cookie.slice(0, dot)), cookie)) ? cookie.slice(0, dot) : undefined;
+
+      return Promise.resolve(id && store.get(id)).then(function (data) {
+        const isNew = !data;
+        const sid = isNew ? randomId() : id;
+        const snapshot = isNew ? '{}' : JSON.stringify(data);
+        let destroyed = false;
+
+        ctx.sessionId = sid;
+        ctx.session = data || {};
+        //functions are left out by JSON.stringify, so this isn't saved with the session data
+        ctx.session.destroy = function () {
+          destroyed = true;
+          ctx.session = {};
+        };
+
+        ctx.on('headers', function (reply) {
+          if (destroyed) {
+            if (!isNew) reply.clearCookie(name, cookieOpts);
+          } else if (isNew && JSON.stringify(ctx.session) !== '{}') {
+            reply.cookie(name, sign(sid), cookieOpts);
+          }
+        });
+
+        ctx.on('finish', function () {
+          Promise.resolve().then(function () {
+            if (destroyed) return isNew || store.destroy(sid);
+            const json = JSON.stringify(ctx.session);
+            if (json !== snapshot) return store.set(sid, JSON.parse(json), maxAge * 1000);
+          }).catch(function (e) {
+            error('session(): could not save session', sid, e.message || e);
+          });
+        });
+      });
+    };
+  }
+  session.MemoryStore = MemorySessionStore;
+  session.StorageStore = StorageSessionStore;
+
+  /*
+   * Creates a Middleware that adds CORS headers to replies for allowed origins, and answers preflight requests with 204.
+   * Headers set later by a route (e.g. with ServerReply.headers()) take precedence over the CORS headers.
+   */
+  function cors(opts) {
+    opts = opts || {};
+    const origins = opts.origins || '*';
+    const methods = (opts.methods || ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE']).join(', ');
+
+    function isAllowed(origin) {
+      switch (true) {
+        case origins === '*': return true;
+        case typeof origins === 'function': return origins(origin);
+        case origins instanceof RegExp: return origins.test(origin);
+        case Array.isArray(origins): return origins.includes(origin);
+        default: return origins === origin;
+      }
+    }
+
+    return function corsHandler(ctx) {
+      const origin = ctx.header('Origin');
+      //without CORS headers, the browser blocks the response for disallowed origins
+      if (!origin || !isAllowed(origin)) return;
+
+      const headers = {};
+      if (origins === '*' && !opts.credentials) {
+        headers['Access-Control-Allow-Origin'] = '*';
+      } else {
+        //credentialed requests can't use '*', so the origin is echoed back
+        headers['Access-Control-Allow-Origin'] = origin;
+        headers['Vary'] = 'Origin';
+      }
+      if (opts.credentials) headers['Access-Control-Allow-Credentials'] = 'true';
+
+      if (ctx.method === 'OPTIONS' && ctx.header('Access-Control-Request-Method')) {
+        headers['Access-Control-Allow-Methods'] = methods;
+        const allowHeaders = opts.headers ? opts.headers.join(', ') : ctx.header('Access-Control-Request-Headers');
+        if (allowHeaders) headers['Access-Control-Allow-Headers'] = allowHeaders;
+        if (opts.maxAge !== undefined) headers['Access-Control-Max-Age'] = opts.maxAge;
+        return new ServerReply(ctx).status(204).headers(headers);
+      }
+
+      if (opts.exposedHeaders) headers['Access-Control-Expose-Headers'] = opts.exposedHeaders.join(', ');
+      //don't overwrite headers that were already set for this request
+      ctx.responseHeaders = Object.assign(headers, ctx.responseHeaders);
+    };
+  }
+
+  /*
+   * Returns the client's IP address, if the transport provides it. X-Forwarded-For is only used if trustProxy is set,
+   * since clients can send any value. The last address is the one added by the proxy itself.
+   */
+  function clientAddress(ctx, trustProxy) {
+    const req = ctx.req;
+    const forwarded = trustProxy && ctx.header('X-Forwarded-For');
+    if (forwarded) return forwarded.split(',').pop().trim();
+    return (req.socket && req.socket.remoteAddress) || req.remoteAddress || 'unknown';
+  }
+
+  function serviceUnavailable(ctx, retryAfter) {
+    return new ServerReply(ctx).status(503).headers({ 'Retry-After': retryAfter || 1 }).send('Service Unavailable');
+  }
+
+  /*
+   * Creates a Middleware that rate-limits requests per client with a token bucket:
+   * each client can make `burst` requests at once, refilled at `rate` requests per second.
+   * Requests over the limit get a 429 reply with Retry-After.
+   */
+  function rateLimit(opts) {
+    opts = opts || {};
+    const rate = opts.rate || 1;
+    const burst = opts.burst || 5;
+    const maxClients = opts.maxClients || 32;
+    const buckets = {};
+    let clients = 0;
+    let warned = false;
+    const getKey = opts.key || function (ctx) {
+      const address = clientAddress(ctx, opts.trustProxy);
+      if (address !== 'unknown') return address;
+      //one bucket for every client would be a limit on all requests together
+      if (!warned) warn('rateLimit(): the transport doesn\'t provide client addresses, so requests are not limited. Pass a `key` to limit by something else');
+      warned = true;
+    };
+
+    return function rateLimiter(ctx) {
+      const key = getKey(ctx);
+      if (key === undefined) return;
+      const now = Date.now();
+      let bucket = buckets[key];
+
+      if (!bucket) {
+        //forget the least recently seen client, so RAM use stays bounded
+        if (clients >= maxClients) {
+          let oldest;
+          for (const k in buckets) {
+            if (!oldest || buckets[k].t < buckets[oldest].t) oldest = k;
+          }
+          delete buckets[oldest];
+          clients--;
+        }
+        bucket = buckets[key] = { tokens: burst, t: now };
+        clients++;
+      }
+
+      bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.t) * rate / 1000);
+      bucket.t = now;
+      if (bucket.tokens < 1) {
+        return new ServerReply(ctx).status(429).headers({ 'Retry-After': Math.ceil((1 - bucket.tokens) / rate) }).send('Too Many Requests');
+      }
+      bucket.tokens--;
+    };
+  }
+
+  /*
+   * Creates a Middleware that caps the number of requests being handled at once.
+   * Extra requests wait in a queue (up to `queue` of them, for up to `queueTimeout` ms), otherwise they get a 503 reply.
+   * If `minFree` is set, requests also get a 503 reply while process.memory().free is below it.
+   */
+  function concurrency(opts) {
+    opts = opts || {};
+    const max = opts.max || 2;
+    const maxQueue = opts.queue || 0;
+    const queueTimeout = opts.queueTimeout || 5e3;
+    const queue = [];
+    let active = 0;
+
+    function start(ctx) {
+      active++;
+      ctx.on('finish', function () {
+        active--;
+        const next = queue.shift();
+        if (next) next();
+      });
+    }
+
+    return function concurrencyGuard(ctx) {
+      //process.memory(false) skips garbage collection, which would be too slow to run on every request
+      if (opts.minFree && process.memory(false).free < opts.minFree) {
+        warn('concurrency(): low memory, rejecting', ctx.method, ctx.path);
+        return serviceUnavailable(ctx);
+      }
+      if (active < max) return start(ctx);
+      if (queue.length >= maxQueue) return serviceUnavailable(ctx);
+
+      return new Promise(function (r) {
+        function next() {
+          clearTimeout(timeout);
+          start(ctx);
+          r();
+        }
+        const timeout = setTimeout(function () {
+          queue.splice(queue.indexOf(next), 1);
+          r(serviceUnavailable(ctx, Math.ceil(queueTimeout / 1000)));
+        }, queueTimeout);
+        queue.push(next);
+      });
+    };
+  }
+
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  //Formats a date as in the Common Log Format, e.g. 10/Oct/2025:13:55:36 +0000
+  function clfDate(d) {
+    const pad = n => (n < 10 ? '0' : '') + n;
+    return pad(d.getUTCDate()) + '/' + MONTHS[d.getUTCMonth()] + '/' + d.getUTCFullYear() + ':' +
+      pad(d.getUTCHours()) + ':' + pad(d.getUTCMinutes()) + ':' + pad(d.getUTCSeconds()) + ' +0000';
+  }
+
+  //Checks a path against a list of path prefixes and/or RegExps
+  function pathMatches(path, patterns) {
+    return patterns.some(p => p instanceof RegExp ? p.test(path) : path.indexOf(p) === 0);
+  }
+
+  /*
+   * Creates a Middleware that logs each request once its reply has been sent, with tracer.js:
+   * method, path, status, response size and handler time, in Common Log Format or as JSON lines.
+   */
+  function accessLogger(opts) {
+    opts = opts || {};
+    let logLine;
+    if (opts.log) {
+      logLine = opts.log;
+    } else {
+      try {
+        logLine = require('tracer.js')(opts.name || 'access', opts.serial).info;
+      } catch (e) {
+        logLine = console.log;
+      }
+    }
+
+    return function logger(ctx) {
+      const path = ctx.path;
+      if (opts.include && !pathMatches(path, opts.include)) return;
+      if (opts.exclude && pathMatches(path, opts.exclude)) return;
+      if (opts.sample !== undefined && Math.random() >= opts.sample) return;
+
+      ctx.on('finish', function () {
+        const entry = {
+          ip: clientAddress(ctx, opts.trustProxy),
+          user: ctx.user && (ctx.user.name || ctx.user.keyId || ctx.user.id),
+          method: ctx.method,
+          path: ctx.url,
+          status: ctx.responseStatus,
+          bytes: ctx.bytesSent,
+          ms: Date.now() - ctx.startTime
+        };
+        if (opts.format === 'json') return logLine(JSON.stringify(entry));
+        logLine(entry.ip + ' - ' + (entry.user || '-') + ' [' + clfDate(new Date(ctx.startTime)) + '] "' +
+          entry.method + ' ' + entry.path + ' HTTP/1.1" ' + entry.status + ' ' + (entry.bytes || '-') + ' ' + entry.ms + 'ms');
+      });
+    };
+  }
+
+  //Compares strings in constant time, so that secrets can't be guessed from response timing
+  function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  function toHex(str) {
+    let hex = '';
+    for (let i = 0; i < str.length; i++) hex += (256 + str.charCodeAt(i)).toString(16).slice(1);
+    return hex;
+  }
+
+  //Espruino's crypto module only has plain hashes, so HMAC is built on top of SHA256
+  function hmacSHA256(key, msg) {
+    const sha256 = require('crypto').SHA256;
+    if (key.length > 64) key = E.toString(sha256(key));
+    let ipad = '', opad = '';
+    for (let i = 0; i < 64; i++) {
+      const k = i < key.length ? key.charCodeAt(i) : 0;
+      ipad += String.fromCharCode(k ^ 0x36);
+      opad += String.fromCharCode(k ^ 0x5c);
+    }
+    return toHex(E.toString(sha256(opad + E.toString(sha256(ipad + msg)))));
+  }
+
+  function unauthorized(ctx, challenge, message) {
+    return new ServerReply(ctx).status(401).headers({ 'WWW-Authenticate': challenge }).send(message || 'Unauthorized');
+  }
+
+  //Sets ctx.user from the result of a verify callback (or user table lookup), or replies 401 if there is none
+  function authResult(ctx, user, fallbackUser, challenge) {
+    return Promise.resolve(user).then(function (user) {
+      if (!user) return unauthorized(ctx, challenge);
+      ctx.user = typeof user === 'object' ? user : fallbackUser;
+    });
+  }
+
+  /*
+   * Authentication Middleware factories. Each one sets ctx.user when the request is authenticated,
+   * and replies 401 with a WWW-Authenticate header when it isn't.
+   */
+  const auth = {
+    //HTTP Basic auth, checked against a {name: password} table or a verify(name, password, ctx) callback
+    basic: function (opts) {
+      const challenge = 'Basic realm="' + (opts.realm || 'Espruino') + '"';
+      return function basicAuth(ctx) {
+        const header = ctx.header('Authorization') || '';
+        if (header.indexOf('Basic ') !== 0) return unauthorized(ctx, challenge);
+
+        let credentials;
+        try {
+          credentials = atob(header.slice(6).trim());
+        } catch (e) {
+          return unauthorized(ctx, challenge);
+        }
+        const i = credentials.indexOf(':');
+        if (i < 0) return unauthorized(ctx, challenge);
+        const name = credentials.slice(0, i);
+        const password = credentials.slice(i + 1);
+
+        const user = opts.verify ? opts.verify(name, password, ctx) : (opts.users && opts.users.hasOwnProperty(name) && safeEqual(opts.users[name], password));
+        return authResult(ctx, user, { name: name }, challenge);
+      };
+    },
+
+    //Static bearer tokens, as an array of tokens, a {token: user} table, or a verify(token, ctx) callback
+    bearer: function (opts) {
+      const realm = 'Bearer realm="' + (opts.realm || 'Espruino') + '"';
+      return function bearerAuth(ctx) {
+        const header = ctx.header('Authorization') || '';
+        if (header.indexOf('Bearer ') !== 0) return unauthorized(ctx, realm);
+        const token = header.slice(7).trim();
+        const challenge = realm + ', error="invalid_token"';
+
+        if (opts.verify) return authResult(ctx, opts.verify(token, ctx), { token: token }, challenge);
+
+        const tokens = opts.tokens || [];
+        const match = Array.isArray(tokens) ?
+          tokens.find(t => safeEqual(t, token)) :
+          Object.keys(tokens).find(t => safeEqual(t, token));
+        return authResult(ctx, match !== undefined && (Array.isArray(tokens) || tokens[match]), { token: token }, challenge);
+      };
+    },
+
+    /*
+     * HMAC-SHA256 signed requests. The client sends:
+     *   X-Timestamp: unix time in seconds
+     *   X-Key-Id: the key id (only needed with a {keyId: secret} table)
+     *   X-Signature: hex HMAC-SHA256 of METHOD + '\n' + url + '\n' + timestamp + '\n' + body
+     * Requests outside of maxSkew seconds, or with a signature that was already used, are rejected.
+     * Signatures are remembered until their timestamp is outside of maxSkew. If maxSeen are remembered already, new requests get a 503 reply.
+     */
+    hmac: function (opts) {
+      const challenge = 'HMAC-SHA256 realm="' + (opts.realm || 'Espruino') + '"';
+      const maxSkew = opts.maxSkew || 300;
+      const maxSeen = opts.maxSeen || 32;
+      //signatures whose timestamps are still within maxSkew, to reject replayed requests. They are never removed before they expire
+      let seen = [];
+
+      return function hmacAuth(ctx) {
+        const signature = (ctx.header('X-Signature') || '').toLowerCase();
+        const timestamp = ctx.header('X-Timestamp');
+        const keyId = ctx.header('X-Key-Id');
+        const secret = opts.secrets ? (keyId && opts.secrets.hasOwnProperty(keyId) && opts.secrets[keyId]) : opts.secret;
+        const now = Date.now() / 1000;
+
+        if (!signature || !secret || !(Math.abs(now - parseInt(timestamp)) <= maxSkew)) return unauthorized(ctx, challenge);
+
+        const replayed = () => {
+          seen = seen.filter(entry => entry.expires >= Date.now() / 1000);
+          return seen.find(entry => entry.sig === signature);
+        };
+        if (replayed()) return unauthorized(ctx, challenge + ', error="replayed_request"');
+
+        return Promise.resolve(ctx.body || '').then(function (body) {
+          const expected = hmacSHA256(secret, ctx.method + '\n' + ctx.url + '\n' + timestamp + '\n' + (body || ''));
+          if (!safeEqual(expected, signature)) return unauthorized(ctx, challenge + ', error="invalid_signature"');
+
+          //check again, in case the same request arrived while the body was being read
+          if (replayed()) return unauthorized(ctx, challenge + ', error="replayed_request"');
+          if (seen.length >= maxSeen) {
+            //forgetting a signature early would let it be replayed, so turn requests away until the oldest expires
+            warn('auth.hmac(): too many recent signatures, rejecting request');
+            return serviceUnavailable(ctx, Math.ceil(Math.min.apply(null, seen.map(entry => entry.expires)) - Date.now() / 1000) || 1);
+          }
+          seen.push({ sig: signature, expires: parseInt(timestamp) + maxSkew });
+          ctx.user = { keyId: keyId };
+        });
+      };
+    },
+
+    hmacSHA256: hmacSHA256
+  };
+
+  /*
+   * Writes the chunks returned by readChunk() to the response one at a time, waiting for 'drain' between them,
+   * so that large bodies never need to be held in RAM. Resolves once readChunk() returns nothing, or the client disconnects
+   * (the ctx is then finished, as no 'drain' would ever come to carry on).
+   */
+  function writeChunks(ctx, readChunk, encode) {
+    const res = ctx.res;
+    const req = ctx.req;
+    return new Promise(function (r, j) {
+      let awaitingDrain = false;
+      let done = false;
+
+      function handleDrain() {
+        if (!awaitingDrain) return;
+        awaitingDrain = false;
+        next();
+      }
+
+      function handleClose() {
+        if (done) return;
+        finish();
+        ctx.__finish();
+      }
+
+      function finish(e) {
+        done = true;
+        res.removeListener('drain', handleDrain);
+        res.removeListener('close', handleClose);
+        if (req) req.removeListener('close', handleClose);
+        if (e) j(e); else r();
+      }
+
+      function write(chunk) {
+        if (done) return;
+        if (chunk === undefined || chunk === null) return finish();
+        if (chunk === '') return next();
+        //Espruino's write() always returns false and emits 'drain' once the send buffer is empty
+        if (ctx.__write(encode ? encode(chunk) : chunk) === false) {
+          awaitingDrain = true;
+        } else {
+          setTimeout(next, 0);
+        }
+      }
+
+      function next() {
+        if (done) return;
+        let chunk;
+        try {
+          chunk = readChunk();
+        } catch (e) {
+          return finish(e);
+        }
+        //readChunk() may return a Promise of the next chunk
+        if (chunk instanceof Promise) return chunk.then(write, e => done || finish(e));
+        write(chunk);
+      }
+
+      res.on('drain', handleDrain);
+      res.on('close', handleClose);
+      if (req) req.on('close', handleClose);
+      next();
+    });
+  }
+
+  const MIME_TYPES = {
+    html: 'text/html', htm: 'text/html', css: 'text/css', js: 'application/javascript', mjs: 'application/javascript',
+    json: 'application/json', txt: 'text/plain', csv: 'text/csv', xml: 'application/xml', svg: 'image/svg+xml',
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', ico: 'image/x-icon', webp: 'image/webp',
+    woff: 'font/woff', woff2: 'font/woff2', wasm: 'application/wasm', map: 'application/json'
+  };
+
+  function mimeType(name) {
+    return MIME_TYPES[name.slice(name.lastIndexOf('.') + 1).toLowerCase()] || 'application/octet-stream';
+  }
+
+  /*
+   * Opens a file for serveStatic(). Returns undefined if it doesn't exist, or
+   * {size, etag, read(), close()} where read() returns the next chunk, or undefined at the end of the file.
+   */
+  function openStaticFile(name, useFs, chunkSize) {
+    if (useFs) {
+      let stat;
+      try {
+        stat = require('fs').statSync(name);
+      } catch (e) { }
+      if (!stat || stat.dir) return;
+
+      let file;
+      return {
+        size: stat.size,
+        etag: '"' + stat.size.toString(16) + '-' + (stat.mtime ? stat.mtime.getTime() : 0).toString(16) + '"',
+        read: function () {
+          if (!file) file = E.openFile(name, 'r');
+          return file.read(chunkSize);
+        },
+        close: function () {
+          if (file) file.close();
+        }
+      };
+    }
+
+    //Storage.read() returns a memory-mapped string, so the file isn't loaded into RAM until it is sliced
+    const data = require('Storage').read(name);
+    if (data === undefined) return;
+    let offset = 0;
+    return {
+      size: data.length,
+      etag: '"' + data.length.toString(16) + '-' + (E.CRC32(data) >>> 0).toString(16) + '"',
+      read: function () {
+        if (offset >= data.length) return;
+        offset += chunkSize;
+        return data.substr(offset - chunkSize, chunkSize);
+      },
+      close: function () { }
+    };
+  }
+
+  /*
+   * Creates a Middleware that serves files under a path prefix from Storage (or fs, for SD cards).
+   * Pre-gzipped '.gz' variants are served to clients that accept gzip, and If-None-Match is answered with 304.
+   */
+  function serveStatic(prefix, opts) {
+    opts = opts || {};
+    const prefixSplit = ServerRouter.__splitPath(prefix);
+    const useFs = opts.storage === 'fs';
+    const root = opts.root || '';
+    const index = opts.index || 'index.html';
+    const chunkSize = opts.chunkSize || 512;
+
+    const staticHandler = function (ctx) {
+      if (ctx.method !== 'GET' && ctx.method !== 'HEAD') return;
+      const rest = ServerRouter.__prefixComp(prefixSplit, ctx.path);
+      if (rest === false) return;
+
+      const pathSplit = ServerRouter.__splitPath(rest).map(ServerRouter.__decode);
+      //don't allow escaping the root directory
+      if (pathSplit.includes('..')) return;
+      if (!pathSplit.length || ctx.path[ctx.path.length - 1] === '/') pathSplit.push(index);
+
+      const name = (useFs ? root.replace(/\/$/, '') + '/' : root) + pathSplit.join('/');
+      const gzip = opts.gzip !== false && (ctx.header('Accept-Encoding') || '').indexOf('gzip') >= 0;
+      const gzFile = gzip && openStaticFile(name + '.gz', useFs, chunkSize);
+      const file = gzFile || openStaticFile(name, useFs, chunkSize);
+      if (!file) return;
+
+      const headers = {
+        'Content-Type': mimeType(name),
+        'ETag': file.etag,
+        'Vary': 'Accept-Encoding'
+      };
+      if (gzFile) headers['Content-Encoding'] = 'gzip';
+      if (opts.maxAge !== undefined) headers['Cache-Control'] = 'max-age=' + opts.maxAge;
+
+      const reply = new ServerReply(ctx).headers(headers);
+      if (ctx.header('If-None-Match') === file.etag) return reply.status(304);
+      reply.headers({ 'Content-Length': file.size });
+      if (ctx.method === 'HEAD') return reply;
+
+      reply.status(200).send();
+      return writeChunks(ctx, file.read).then(
+        () => { file.close(); return reply; },
+        e => { file.close(); throw e; }
+      );
+    };
+    staticHandler.route = prefix;
+    return staticHandler;
+  }
+
+  //Checks (and coerces, if `coerce` is set) one value against a rule. Returns an error message, or undefined if valid
+  function checkValue(value, rule, coerce, set) {
+    if (value === undefined || value === '') return rule.required ? 'is required' : undefined;
+
+    if (coerce && typeof value === 'string') {
+      if (rule.type === 'number' || rule.type === 'integer') {
+        if (value.trim() !== '' && !isNaN(value)) value = Number(value);
+      } else if (rule.type === 'boolean') {
+        if (value === 'true' || value === '1') value = true;
+        else if (value === 'false' || value === '0') value = false;
+      }
+    }
+
+    switch (rule.type) {
+      case undefined: break;
+      case 'integer': if (typeof value !== 'number' || value % 1 !== 0) return 'must be an integer'; break;
+      case 'array': if (!Array.isArray(value)) return 'must be an array'; break;
+      case 'object': if (typeof value !== 'object' || value === null || Array.isArray(value)) return 'must be an object'; break;
+      default: if (typeof value !== rule.type || (rule.type === 'number' && isNaN(value))) return 'must be a ' + rule.type;
+    }
+
+    const size = typeof value === 'number' ? value : value.length;
+    if (rule.min !== undefined && size < rule.min) return (typeof value === 'number' ? 'must be at least ' : 'must have a length of at least ') + rule.min;
+    if (rule.max !== undefined && size > rule.max) return (typeof value === 'number' ? 'must be at most ' : 'must have a length of at most ') + rule.max;
+    if (rule.enum && !rule.enum.includes(value)) return 'must be one of: ' + rule.enum.join(', ');
+    if (rule.match && !rule.match.test(String(value))) return 'has an invalid format';
+    set(value);
+  }
+
+  //Checks each field of source against its rule, and adds any errors to the errors list
+  function checkFields(source, rules, where, coerce, errors) {
+    for (const field in rules) {
+      const rule = typeof rules[field] === 'string' ? { type: rules[field] } : rules[field];
+      const message = checkValue(source[field], rule, coerce, value => { source[field] = value; });
+      if (message) errors.push({ in: where, field: field, message: message });
+    }
+    return errors;
+  }
+
+  /*
+   * Creates a Middleware that validates ctx.params, ctx.query and the request body against a schema, and replies 400
+   * with a list of errors if they don't match. Strings from params, query and forms are coerced to numbers/booleans.
+   * If a handler is given, returns [validator, handler], which can be used as a route's handler.
+   */
+  function validate(schema, handler) {
+    const validator = function (ctx) {
+      //parse the body first, unless server.bodyParser already did
+      const parsed = (schema.body && ctx.json === undefined && !ctx.form) ? bodyParser(ctx) : undefined;
+
+      return Promise.resolve(parsed).then(function (reply) {
+        if (reply) return reply;
+        const errors = [];
+        if (schema.params) checkFields(ctx.params || (ctx.params = {}), schema.params, 'params', true, errors);
+        if (schema.query) checkFields(ctx.query || (ctx.query = {}), schema.query, 'query', true, errors);
+        if (schema.body) {
+          const isJSON = ctx.json !== undefined;
+          const body = isJSON ? ctx.json : ctx.form;
+          if (typeof body !== 'object' || body === null) {
+            errors.push({ in: 'body', field: '', message: 'must be an object' });
+          } else {
+            checkFields(body, schema.body, 'body', !isJSON, errors);
+          }
+        }
+        if (errors.length) return new ServerReply(ctx).status(400).json({ success: false, errors: errors });
+      });
+    };
+    return handler ? [validator, handler] : validator;
+  }
+
+  //Creates the store for server.resource(), which loads and saves a whole collection at once
+  function resourceStore(store, file) {
+    const storage = require('Storage');
+    switch (store) {
+      case undefined:
+      case 'Storage':
+        return {
+          load: () => storage.readJSON(file, true) || [],
+          save: records => storage.writeJSON(file, records)
+        };
+      case 'StorageFile':
+        //one JSON record per line, so that loading doesn't need the whole file as a single string
+        return {
+          load: function () {
+            const records = [];
+            const f = storage.open(file, 'r');
+            let line;
+            while ((line = f.readLine()) !== undefined) {
+              if (line.trim()) records.push(JSON.parse(line));
+            }
+            return records;
+          },
+          save: function (records) {
+            //opening in 'w' mode erases the file first
+            const f = storage.open(file, 'w');
+            records.forEach(record => f.write(JSON.stringify(record) + '\n'));
+          }
+        };
+      default:
+        return store;
+    }
+  }
+
+  /*
+   * Creates the RouteHandlers for a REST resource: a collection of JSON records persisted in Storage.
+   * GET route (list, with ?field=value filters on the records' fields and ?limit=&offset= pagination), GET route/:id,
+   * POST route, PUT route/:id, PATCH route/:id and DELETE route/:id.
+   */
+  function resource(route, opts) {
+    opts = opts || {};
+    const name = ServerRouter.__splitPath(route).join('_') || 'resource';
+    const store = resourceStore(opts.store, opts.file || name + '.json');
+    const idField = opts.idField || 'id';
+    const pageSize = opts.pageSize || 20;
+    const maxPageSize = opts.maxPageSize || 100;
+    const generateId = opts.generateId || ((record, records) => records.reduce((max, record) => Math.max(max, parseInt(record[idField]) || 0), 0) + 1);
+    const hooks = opts.hooks || {};
+    let cache;
+
+    const reply = ctx => new ServerReply(ctx);
+    const notFound = ctx => reply(ctx).status(404).json({ success: false, error: 'Not Found' });
+
+    function load() {
+      if (cache && opts.cache !== false) return Promise.resolve(cache);
+      return Promise.resolve(store.load()).then(records => (cache = records || []));
+    }
+
+    function find(records, id) {
+      return records.findIndex(record => String(record[idField]) === id);
+    }
+
+    //Reads the record from the request body, and checks it against opts.schema
+    function readRecord(ctx, partial) {
+      return Promise.resolve(ctx.json === undefined && !ctx.form ? bodyParser(ctx) : undefined).then(function (parsed) {
+        if (parsed) return { reply: parsed };
+        const isJSON = ctx.json !== undefined;
+        const record = isJSON ? ctx.json : ctx.form;
+        if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+          return { reply: reply(ctx).status(400).json({ success: false, errors: [{ in: 'body', field: '', message: 'must be an object' }] }) };
+        }
+        if (opts.schema) {
+          //required fields aren't checked for partial (PATCH) updates
+          const rules = {};
+          for (const field in opts.schema) {
+            if (!partial || record[field] !== undefined) rules[field] = opts.schema[field];
+          }
+          const errors = checkFields(record, rules, 'body', !isJSON, []);
+          if (errors.length) return { reply: reply(ctx).status(400).json({ success: false, errors: errors }) };
+        }
+        return { record: record };
+      });
+    }
+
+    //Runs the `before` hook (which may return a reply, or false, to abort), saves the collection, and then runs the `after` hook
+    function commit(ctx, action, record, previous, records, change) {
+      return Promise.resolve(hooks.before && hooks.before(action, record, ctx, previous)).then(function (result) {
+        //anything else (e.g. the record it changed) carries on with the change
+        if (result instanceof ServerReply) return result;
+        if (result === false) return reply(ctx).status(403).json({ success: false, error: 'Forbidden' });
+        change();
+        return Promise.resolve(store.save(records)).then(
+          function () {
+            if (hooks.after) hooks.after(action, record, ctx, previous);
+          },
+          function (e) {
+            //the cached collection no longer matches what is saved
+            cache = undefined;
+            throw e;
+          }
+        );
+      });
+    }
+
+    function list(ctx) {
+      return load().then(function (records) {
+        const query = ctx.query || {};
+        //only the fields that records have are filters, so other params (e.g. a cache-buster like ?_=123) are ignored
+        const fields = Object.keys(query).filter(field => field !== 'limit' && field !== 'offset' && records.some(record => record[field] !== undefined));
+        const filtered = records.filter(record => fields.every(field => String(record[field]) === query[field]));
+        const offset = Math.max(parseInt(query.offset) || 0, 0);
+        const limit = Math.min(parseInt(query.limit) || pageSize, maxPageSize);
+        return reply(ctx).headers({ 'X-Total-Count': filtered.length }).json(filtered.slice(offset, offset + limit));
+      });
+    }
+
+    function getOne(ctx) {
+      return load().then(function (records) {
+        const i = find(records, ctx.params.id);
+        return i < 0 ? notFound(ctx) : records[i];
+      });
+    }
+
+    function create(ctx) {
+      return Promise.all([load(), readRecord(ctx)]).then(function (results) {
+        const records = results[0];
+        const record = results[1].record;
+        if (!record) return results[1].reply;
+
+        if (record[idField] === undefined) record[idField] = generateId(record, records);
+        if (find(records, String(record[idField])) >= 0) return reply(ctx).status(409).json({ success: false, error: 'Already exists' });
+
+        return commit(ctx, 'create', record, undefined, records, () => records.push(record)).then(function (aborted) {
+          if (aborted !== undefined) return aborted;
+          return reply(ctx).status(201).headers({ 'Location': (ctx.baseUrl || '') + route + '/' + record[idField] }).json(record);
+        });
+      });
+    }
+
+    function update(partial) {
+      return function (ctx) {
+        return Promise.all([load(), readRecord(ctx, partial)]).then(function (results) {
+          const records = results[0];
+          if (!results[1].record) return results[1].reply;
+          const i = find(records, ctx.params.id);
+          if (i < 0) return notFound(ctx);
+
+          const previous = records[i];
+          const record = Object.assign({}, partial ? previous : {}, results[1].record);
+          //the id in the URL wins over any id in the body
+          record[idField] = previous[idField];
+          return commit(ctx, 'update', record, previous, records, () => { records[i] = record; }).then(aborted => aborted !== undefined ? aborted : record);
+        });
+      };
+    }
+
+    function remove(ctx) {
+      return load().then(function (records) {
+        const i = find(records, ctx.params.id);
+        if (i < 0) return notFound(ctx);
+        const record = records[i];
+        return commit(ctx, 'delete', record, record, records, () => records.splice(i, 1)).then(aborted => aborted !== undefined ? aborted : reply(ctx).status(204));
+      });
+    }
+
+    const itemRoute = route.replace(/\/$/, '') + '/:id';
+    return [
+      ServerRouter.get(route, list),
+      ServerRouter.get(itemRoute, getOne),
+      ServerRouter.post(route, create),
+      ServerRouter.put(itemRoute, update(false)),
+      ServerRouter.patch(itemRoute, update(true)),
+      ServerRouter.del(itemRoute, remove)
+    ];
+  }
+
+  //JSON-RPC 2.0 error codes
+  const RPC_ERRORS = {
+    '-32700': 'Parse error',
+    '-32600': 'Invalid Request',
+    '-32601': 'Method not found',
+    '-32602': 'Invalid params',
+    '-32603': 'Internal error'
+  };
+
+  //Creates a JSON-RPC error object. Methods can throw errors with a numeric `code` (and optional `data`) to reply with them
+  function rpcError(code, message, data) {
+    const e = { code: code, message: message || RPC_ERRORS[code] || 'Server error' };
+    if (data !== undefined) e.data = data;
+    return e;
+  }
+
+  /*
+   * Creates a RouteHandler that implements JSON-RPC 2.0 over POST: single and batch calls, notifications
+   * (calls without an id, which get no reply) and async methods. Each method is called as method(params, ctx),
+   * or may be {handler, params} where params is a ValidationSchema for named params.
+   */
+  function rpc(route, opts) {
+    opts = opts || {};
+    const methods = opts.methods || {};
+
+    const isId = id => id === null || typeof id === 'string' || typeof id === 'number';
+    const response = (id, key, value) => {
+      const res = { jsonrpc: '2.0' };
+      res[key] = value;
+      res.id = id;
+      return res;
+    };
+
+    //Resolves to the response for a single call, or undefined for notifications
+    function call(req, ctx) {
+      if (typeof req !== 'object' || req === null || Array.isArray(req) || req.jsonrpc !== '2.0' || typeof req.method !== 'string' ||
+        (req.params !== undefined && typeof req.params !== 'object') || (req.id !== undefined && !isId(req.id))) {
+        return Promise.resolve(response(req && isId(req.id) ? req.id : null, 'error', rpcError(-32600)));
+      }
+      const isNotification = req.id === undefined;
+
+      return new Promise(function (r) {
+        if (opts.listMethods && req.method === 'rpc.listMethods') return r(Object.keys(methods));
+
+        const method = Object.prototype.hasOwnProperty.call(methods, req.method) ? methods[req.method] : undefined;
+        if (!method) throw rpcError(-32601);
+        if (typeof method === 'function') return r(method(req.params, ctx));
+
+        if (method.params) {
+          const params = req.params || {};
+          const errors = Array.isArray(params) ? [{ in: 'params', field: '', message: 'must be an object' }] : checkFields(params, method.params, 'params', false, []);
+          if (errors.length) throw rpcError(-32602, undefined, errors);
+        }
+        r(method.handler(req.params, ctx));
+      }).then(
+        result => isNotification ? undefined : response(req.id, 'result', result === undefined ? null : result),
+        function (e) {
+          if (typeof e !== 'object' || e === null || typeof e.code !== 'number') {
+            error('rpc(): error in method', req.method, e && e.message || e);
+            e = rpcError(-32603, opts.exposeErrors ? (e && e.message || String(e)) : undefined);
+          } else {
+            e = rpcError(e.code, e.message, e.data);
+          }
+          return isNotification ? undefined : response(req.id, 'error', e);
+        }
+      );
+    }
+
+    return ServerRouter.post(route, function (ctx) {
+      //use the body parsed by server.bodyParser if there is one, whatever the Content-Type
+      const body = ctx.json !== undefined ? Promise.resolve({ json: ctx.json }) : Promise.resolve(ctx.body).then(function (str) {
+        if (str === false) return {};
+        try {
+          return { json: JSON.parse(str) };
+        } catch (e) {
+          return {};
+        }
+      });
+
+      return body.then(function (parsed) {
+        if (ctx.isComplete) return; //e.g. the body was too large, and has already had a reply
+        const reply = new ServerReply(ctx);
+        if (!('json' in parsed)) return reply.json(response(null, 'error', rpcError(-32700)));
+
+        const batch = parsed.json;
+        if (!Array.isArray(batch)) {
+          return call(batch, ctx).then(res => res ? reply.json(res) : reply.status(204));
+        }
+        if (!batch.length) return reply.json(response(null, 'error', rpcError(-32600)));
+
+        //calls in a batch are run one at a time, to limit the RAM used
+        const results = [];
+        return promiseReduce(batch.map(req => () => call(req, ctx).then(res => { if (res) results.push(res); })))
+          .then(() => results.length ? reply.json(results) : reply.status(204));
+      });
+    });
+  }
+
+  //Sends the value returned by a Middleware/RouteHandler as the reply
+  function sendResponse(response, ctx) {
+    switch (true) {
+      case response instanceof ServerReply:
+        //ServerReply was returned explicitly
+        return response.end();
+      case response instanceof ServerSentEvents:
+        //the response stays open until the stream is closed
+        return;
+      case typeof response === 'object':
+        // treat object as JSON-stringifiable
+        return new ServerReply(ctx).json(response).end();
+      default:
+        //treat as stringifiable primitive
+        return new ServerReply(ctx).send(response).end();
+    }
+  }
+
+  /*
+   * Note: promiseReduce executes functions sequentially.
+   */
+  function execArgs(args, ctx) {
+    return promiseReduce(args.map(arg => () => {
+      if (ctx.isComplete) return; //skip if response is already sent
+
+      switch (true) {
+        case Array.isArray(arg):
+          //recursively handle nested array of MiddlewareAndRoutes
+          return execArgs(arg, ctx);
+
+        case typeof arg === 'function': {
+          let response = arg(ctx);
+
+          // Middleware MUST return undefined (or a Promise resolving to undefined) to continue to next Middleware/RouteHandler
+          if (response instanceof Promise) {
+            //handle async response
+            //rejections propagate up to handleRequest(), which passes them to the error handlers
+            return response.then(
+              result => {
+                if (result === undefined || ctx.isComplete) return;
+                ctx.isComplete = true;
+                return sendResponse(result, ctx);
+              }
+            );
+          }
+          if (response !== undefined) {
+            ctx.isComplete = true;
+            return sendResponse(response, ctx);
+          }
+        } break;
+
+        default:
+          return;
+      }
+    }));
+  }
+
+  //Collects the methods of any RouteHandlers whose route matches the path (used for 405 replies)
+  function allowedMethods(args, path, methods) {
+    args.forEach(arg => {
+      if (Array.isArray(arg)) return allowedMethods(arg, path, methods);
+      if (typeof arg !== 'function' || !arg.route) return;
+
+      if (arg.routes) {
+        //sub-router: check its routes against the rest of the path
+        const rest = ServerRouter.__prefixComp(arg.prefixSplit, path);
+        if (rest !== false) allowedMethods(arg.routes, rest, methods);
+      } else if (arg.method && arg.method !== '*' && !methods.includes(arg.method)) {
+        if (ServerRouter.__routeComp(ServerRouter.__splitPath(arg.route), ServerRouter.__splitPath(path)) !== false) methods.push(arg.method);
+      }
+    });
+    return methods;
+  }
+
+  //Sends the default reply when no Middleware/RouteHandler responded: 405 if the path matches a route for another method, otherwise 404
+  function notFound(args, ctx) {
+    const methods = allowedMethods(args, ctx.path, []);
+    ctx.isComplete = true;
+    if (methods.length && !methods.includes(ctx.method)) {
+      return new ServerReply(ctx).status(405).headers({ Allow: methods.join(', ') }).send('Method Not Allowed').end();
+    }
+    return new ServerReply(ctx).status(404).send('Not Found').end();
+  }
+
+  const errorHandlers = [];
+
+  //Passes an error thrown (or rejected) by a Middleware/RouteHandler to the registered error handlers, in order, until one returns a reply
+  function handleError(e, ctx) {
+    //handlers may reject with nothing (e.g. Promise.reject()) or throw null
+    if (e === undefined || e === null) e = new Error('Unknown error');
+    error('Error handling request', ctx.method, ctx.path, e.message || e);
+    ctx.isComplete = true;
+    if (ctx.finished || ctx.streaming) return; //a reply was already sent, nothing more to do
+
+    const defaultReply = () => new ServerReply(ctx).status(e.status || 500).json({ success: false, error: e.message || e });
+
+    return promiseReduce(errorHandlers.map(handler => result => result !== undefined ? result : handler(e, ctx)))
+      .catch(e2 => {
+        error('Error in error handler', e2);
+      })
+      .then(result => sendResponse(result !== undefined ? result : defaultReply(), ctx))
+      .catch(e3 => {
+        //last resort, so that the socket is always answered
+        error('Error sending error reply', e3);
+        try {
+          if (!ctx.headersSent) ctx.res.writeHead(500, {});
+          ctx.res.end();
+        } catch (e4) {
+          error('Could not end response', e4);
+        }
+        ctx.__finish();
+      });
+  }
+
+  //Runs a request through the MiddlewareAndRoutes, and makes sure that every request gets a reply
+  function handleRequest(args, ctx) {
+    return promiseReduce([
+      () => execArgs(args, ctx),
+      () => ctx.isComplete || notFound(args, ctx)
+    ]).catch(e => handleError(e, ctx));
+  }
+
+  //Fills in the defaults for ServerParams
+  function serverOptions(params) {
+    return {
+      PORT: params.PORT || (process.env.PORT) || (params.TLS ? 443 : 80),
+      HOST: params.HOST,
+      TLS: params.TLS,
+      TRANSPORT: params.TRANSPORT || createTransport,
+      MAX_BODY_SIZE: params.MAX_BODY_SIZE || 4096,
+      BODY_TIMEOUT: params.BODY_TIMEOUT || process.env.REQ_BODY_TIMEOUT || 5e3,
+      HEADER_ARRAYS: !!params.HEADER_ARRAYS
+    };
+  }
+
+  //Decodes a body sent with Transfer-Encoding: chunked
+  function decodeChunked(str) {
+    let body = '';
+    let pos = 0;
+    while (pos < str.length) {
+      const eol = str.indexOf('\r\n', pos);
+      const size = parseInt(str.slice(pos, eol), 16);
+      if (eol < 0 || !size) break;
+      body += str.substr(eol + 2, size);
+      pos = eol + 2 + size + 2;
+    }
+    return body;
+  }
+
+  /*
+   * Runs a request through MiddlewareAndRoutes without a socket, using mock req/res objects,
+   * and resolves to the reply: {status, headers, body}. Useful for testing routes in Node or the Espruino Linux build.
+   */
+  function inject(middlewareAndRoutes, request, params) {
+    request = request || {};
+    const headers = Object.assign({}, request.headers);
+    let body = request.body;
+    if (body !== undefined && typeof body !== 'string') {
+      body = JSON.stringify(body);
+      if (!getHeader(headers, 'Content-Type')) headers['Content-Type'] = 'application/json';
+    }
+    if (body !== undefined && getHeader(headers, 'Content-Length') === undefined) headers['Content-Length'] = body.length;
+
+    //like Espruino's httpSRq, the body is buffered until it is read
+    let buffered = body || '';
+    const req = withEvents({
+      method: (request.method || 'GET').toUpperCase(),
+      url: request.url || '/',
+      headers: headers,
+      available: () => buffered.length,
+      read: function () {
+        const data = buffered;
+        buffered = '';
+        return data;
+      }
+    });
+
+    return new Promise(function (r) {
+      const result = { status: undefined, headers: {}, body: '' };
+      const res = withEvents({
+        writeHead: function (status, headers) {
+          result.status = status;
+          result.headers = Object.assign({}, headers);
+        },
+        write: function (data) {
+          result.body += data;
+          return true;
+        },
+        end: function (data) {
+          if (data) result.body += data;
+          if (getHeader(result.headers, 'Transfer-Encoding') === 'chunked') result.body = decodeChunked(result.body);
+          r(result);
+        }
+      });
+      handleRequest([middlewareAndRoutes], new RequestContext(req, res, serverOptions(Object.assign({ HEADER_ARRAYS: true }, params))));
+    });
+  }
+
+  //The default transport: Espruino's 'https' module when TLS options are given, otherwise 'http'
+  function createTransport(handleReq, options) {
+    if (options.TLS) return require('https').createServer(options.TLS, handleReq);
+    return require('http').createServer(handleReq);
+  }
+
+  //Only used for the startup log, so it must not throw on boards without Wifi (Ethernet, Linux builds, etc)
+  function localAddress(options) {
+    if (process.env.local_ip) return process.env.local_ip;
+    if (options.HOST) return options.HOST;
+    try {
+      return require('Wifi').getIP().ip;
+    } catch (e) {
+      return '0.0.0.0';
+    }
+  }
+
+  function server() {
+    if (arguments.length === 0) {
+      error('server(): missing at least one argument');
+      throw new Error('server: server(): missing at least one argument');
+    }
+
+    const args = Array.prototype.slice.call(arguments);
+    const params = (typeof args[0] === 'object' && !Array.isArray(args[0])) ? args.shift() : {};
+
+    const options = serverOptions(params);
+
+    const _server = options.TRANSPORT(function handleReq(req, res) {
+      handleRequest(args, new RequestContext(req, res, options));
+    }, options);
+    if (_server.listen) _server.listen(options.PORT, options.HOST);
+
+    _server.on('error', error);
+
+    log(`Server now running at ${options.TLS ? 'https' : 'http'}://${localAddress(options)}:${options.PORT}`);
+
+    return _server;
+  }
+
+  server.reply = ServerReply;
+  server.ServerReply = ServerReply;
+
+  server.router = ServerRouter;
+  server.bodyParser = bodyParser;
+  server.static = serveStatic;
+  server.SSEHub = SSEHub;
+  server.auth = auth;
+  server.cors = cors;
+  server.rateLimit = rateLimit;
+  server.concurrency = concurrency;
+  server.logger = accessLogger;
+  server.session = session;
+  server.validate = validate;
+  server.inject = inject;
+  server.resource = resource;
+  server.rpc = rpc;
+  server.rpc.error = rpcError;
+
+  server.onError = function (handler) {
+    errorHandlers.push(handler);
+    return server;
+  };
   return server;
 }
 